@@ -1,23 +1,95 @@
 import fs from "fs";
 import path from "path";
+import os from "os";
 import { fileURLToPath } from "url";
 import { readTree, walkTree, writeTree } from "./tree.js";
-import { pathToRoute, routeToBuildPath } from "./pipeline.js";
+import { pathToRoute, routeToBuildPath, routeToUrl } from "./pipeline.js";
+import { generateSitemap, generateRobots } from "./sitemap.js";
+import {
+  normalizeFeeds,
+  collectFeedItems,
+  generateRssFeed,
+  generateAtomFeed,
+} from "./feeds.js";
 import {
   checkTypstInstalled,
+  listTypstFonts,
   compileTypst,
   createTempDir,
   cleanupTempDir,
 } from "./typst-adapter.js";
+import {
+  DEFAULT_PAGE_METADATA,
+  readPageMetadata,
+  isPagePublished,
+} from "./metadata.js";
+import {
+  buildHtmlSearchEntries,
+  escapeHtml,
+  generateMetaTags,
+  prepareTypstHtml,
+  toScriptValue,
+} from "./html.js";
+import { readPdf } from "./pdf.js";
+import { buildSearchEntries, writeSearchIndex } from "./search.js";
+import { generatePageContent } from "./content.js";
+import {
+  resolveCssImports,
+  bundleCss,
+  writeStylesheet,
+  removeUnusedStylesheets,
+} from "./css.js";
+import {
+  loadBuildCache,
+  saveBuildCache,
+  hashPageInputs,
+  isCacheEntryFresh,
+  describeDirectoryFiles,
+} from "./cache.js";
+import { createWorkQueue } from "./queue.js";
+import {
+  createDocumentBuilder,
+  mapPosition,
+  formatDiagnostic,
+} from "./diagnostics.js";
+import {
+  normalizeRedirects,
+  resolveRedirectTarget,
+  generateRedirectStub,
+  generateRedirectsFile,
+} from "./redirects.js";
+import {
+  createBuildManifest,
+  describeArtifact,
+  writeBuildManifest,
+} from "./manifest.js";
 import { loadConfig } from "./index.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
-const EXCLUDE_DIRS = ["node_modules", ".git", "build"];
+const CACHE_DIR_NAME = ".tssg-cache";
+const EXCLUDE_DIRS = ["node_modules", ".git", "build", CACHE_DIR_NAME];
 const SKIP_EXTENSIONS = [".json", ".js", ".ts"];
 const TEMP_DIR_PREFIX = "tssg-";
 const PAGES_DIR_NAME = "pages";
+const LAYOUTS_DIR_NAME = "layouts";
+const LAYOUT_SIGNATURE_REGEX =
+  /#let\s+layout\s*\(\s*body\s*(?:,\s*([a-zA-Z_][\w-]*)\s*)?\)\s*=/;
+const LAYOUT_PAGE_NAME = "tssg-page";
+const PREAMBLE_FILE_NAME = "preamble.typ";
+const ERROR_PAGE_FILE = "404.typ";
+const FONTS_DIR_NAME = "fonts";
+const DEFAULT_NAVIGATION_FONT = "Libertinus Serif";
+const FALLBACK_IMAGE_PREFIX = "page-";
+const FALLBACK_IMAGE_REGEX = /^page-\d+\.(png|svg)$/;
+// CSS pixels per PDF point, as in the viewer
+const FALLBACK_DISPLAY_SCALE = 1.5;
+const FONT_REGEX = /\bfont\s*:\s*(\([^)]*\)|"[^"]*")/g;
 const ASSETS_DIR_NAME = "assets";
+const SEARCH_INDEX_FILE = "search-index.json";
+const MANIFEST_FILE = "manifest.json";
+const DEPENDENCY_REGEX =
+  /(?:#(?:import|include)\s+|\b(?:image|read|json|csv|yaml|toml|xml|cbor|bibliography)\(\s*)"([^"]+)"/g;
 
 function normalizePath(p) {
   return p.replace(/\\/g, "/");
@@ -28,7 +100,8 @@ function isExcludedDir(name) {
 }
 
 /**
- * Walks directory tree and extracts import dependencies
+ * Walks directory tree and extracts file dependencies
+ * (imports, includes and data/image files read by path)
  * @param {string} dir Directory to walk
  * @param {Map<string, Set<string>>} graph Dependency graph to populate
  * @param {string} relativePath Current relative path from start
@@ -47,24 +120,33 @@ function walkTypstDirectory(dir, graph, relativePath = "") {
       walkTypstDirectory(fullPath, graph, relPath);
     } else if (entry.isFile() && entry.name.endsWith(".typ")) {
       const content = fs.readFileSync(fullPath, "utf-8");
-      const deps = new Set();
+      graph.set(relPath, readTypstDependencies(content, relPath));
+    }
+  }
+}
 
-      const importRegex = /#import\s+"([^"]+)"/g;
-      let match;
-      while ((match = importRegex.exec(content)) !== null) {
-        const importPath = match[1];
-        if (!importPath.startsWith(".")) continue;
+/**
+ * Extracts the files a Typst source imports, includes or reads by path
+ * @param {string} content Typst source
+ * @param {string} relPath Path of the source relative to the walked directory
+ * @returns {Set<string>} Dependency paths relative to the walked directory
+ */
+function readTypstDependencies(content, relPath) {
+  const deps = new Set();
 
-        const fileDir = path.dirname(relPath);
-        const resolvedImport = normalizePath(
-          path.normalize(path.join(fileDir, importPath))
-        );
-        deps.add(resolvedImport);
-      }
+  let match;
+  while ((match = DEPENDENCY_REGEX.exec(content)) !== null) {
+    const importPath = match[1];
+    if (importPath.startsWith("@") || importPath.startsWith("/")) continue;
 
-      graph.set(relPath, deps);
-    }
+    const fileDir = path.dirname(relPath);
+    const resolvedImport = normalizePath(
+      path.normalize(path.join(fileDir, importPath))
+    );
+    deps.add(resolvedImport);
   }
+
+  return deps;
 }
 
 /**
@@ -99,8 +181,15 @@ export async function build(options = {}) {
     src: path.resolve(rootPath, userConfig.src || "./src"),
     output: path.resolve(options.output || "./build"),
     clean: options.clean !== false,
+    drafts: options.drafts || false,
+    cache: options.cache !== false && userConfig.cache?.enabled !== false,
+    concurrency:
+      parseInt(options.jobs, 10) ||
+      parseInt(userConfig.concurrency, 10) ||
+      os.cpus().length,
     verbose: options.verbose || false,
     base: userConfig.base || "/",
+    siteUrl: userConfig.siteUrl || null,
     indexPage: userConfig.indexPage,
     layoutInheritance: userConfig.layoutInheritance,
     maxMergeDepth: userConfig.maxMergeDepth,
@@ -108,7 +197,23 @@ export async function build(options = {}) {
     sidebar: userConfig.sidebar,
     toc: userConfig.toc,
     theme: userConfig.theme,
+    sitemap: userConfig.sitemap,
+    robots: userConfig.robots,
+    feeds: userConfig.feeds,
+    redirects: userConfig.redirects,
+    redirectsFile: userConfig.redirectsFile || false,
+    lang: userConfig.lang,
+    seo: userConfig.seo,
+    search: userConfig.search,
+    fallback: userConfig.fallback,
+    css: userConfig.css,
+    mode: options.mode || "production",
+    inputs: userConfig.inputs,
+    ignoreSystemFonts: userConfig.ignoreSystemFonts || false,
   };
+  config.fonts = resolveFontPaths(userConfig.fonts, config);
+  config.fontFiles = config.cache ? describeDirectoryFiles(config.fonts) : [];
+  config.preamble = loadPreamble(userConfig.preamble, config);
 
   const typstCheck = checkTypstInstalled();
   if (!typstCheck.installed) {
@@ -119,6 +224,17 @@ export async function build(options = {}) {
   if (config.verbose) {
     console.log(`Using Typst ${typstCheck.version}`);
   }
+  config.typstVersion = typstCheck.version;
+
+  const pagesDir = path.join(config.src, PAGES_DIR_NAME);
+  const userAssetsDir = path.join(config.src, ASSETS_DIR_NAME);
+
+  if (!fs.existsSync(pagesDir)) {
+    throw new Error(`Pages directory not found: ${pagesDir}`);
+  }
+
+  const pagesTree = readTree(pagesDir, { extensions: [".typ", ".css"] });
+  warnMissingFonts(pagesTree, config);
 
   if (config.clean && fs.existsSync(config.output)) {
     fs.rmSync(config.output, { recursive: true, force: true });
@@ -154,71 +270,130 @@ export async function build(options = {}) {
     console.log("✓ Copied viewer assets");
   }
 
-  const pagesDir = path.join(config.src, PAGES_DIR_NAME);
-  const userAssetsDir = path.join(config.src, ASSETS_DIR_NAME);
-
-  if (!fs.existsSync(pagesDir)) {
-    throw new Error(`Pages directory not found: ${pagesDir}`);
-  }
-
-  const pagesTree = readTree(pagesDir, { extensions: [".typ", ".css"] });
   const assetsTree = fs.existsSync(userAssetsDir)
     ? readTree(userAssetsDir)
     : null;
 
   let pageCount = 0;
   const errors = [];
-  const pages = [];
+  const diagnostics = [];
+  const pages = listPages(pagesTree);
+
+  const cacheDir = path.join(config.root, CACHE_DIR_NAME);
+  const context = { resolvedCss: new Map() };
+  if (config.cache) {
+    context.cache = loadBuildCache(cacheDir, config.output);
+    context.depGraph = buildCompleteDependencyGraph(config, pagesTree);
+  }
 
-  walkTree(pagesTree, (pathArray, content, isLeaf) => {
-    if (!isLeaf || !pathArray[pathArray.length - 1].endsWith(".typ")) {
-      return;
-    }
+  // Typst processes share one queue; pages in flight are limited separately
+  // so temp directories are not all set up front
+  context.queue = createWorkQueue(config.concurrency);
+  const pageQueue = createWorkQueue(config.concurrency * 2);
 
-    if (
-      pathArray[pathArray.length - 1] === "index.typ" &&
-      isLayoutFile(content)
-    ) {
-      return;
-    }
+  // All pages compile against one copy of the sources
+  context.staging = { dir: null };
 
-    pages.push({ pathArray, content });
-  });
+  if (config.verbose) {
+    console.log(`Running up to ${config.concurrency} Typst process(es)`);
+  }
 
-  const concurrencyLimit = 4;
-  const buildPromises = [];
+  // Pages are compiled in a staging directory, removed even when a build throws
+  let preparedPages;
+  let hiddenPages;
+  let buildResults;
+  try {
+    const prepareResults = await Promise.all(
+      pages.map((page) =>
+        pageQueue.run(async () => {
+          try {
+            const prepared = await preparePage(
+              page.pathArray,
+              page.content,
+              pagesTree,
+              config,
+              context
+            );
+            return { success: true, page, prepared };
+          } catch (error) {
+            const errorMsg = `Failed to build ${page.pathArray.join("/")}: ${
+              error.message
+            }`;
+            errors.push(errorMsg);
+            diagnostics.push(
+              ...withRoute(
+                error.diagnostics,
+                getPageRoute(page.pathArray, config)
+              )
+            );
+            console.error(`✗ ${errorMsg}`);
+            return { success: false, page, error };
+          }
+        })
+      )
+    );
 
-  for (let i = 0; i < pages.length; i += concurrencyLimit) {
-    const batch = pages.slice(i, i + concurrencyLimit);
-    const batchPromises = batch.map(async (page) => {
-      try {
-        await buildPage(page.pathArray, page.content, pagesTree, config);
+    preparedPages = prepareResults
+      .filter((r) => r.success)
+      .map((r) => r.prepared);
+    hiddenPages = preparedPages.filter(
+      (page) => !isPageVisible(page.metadata, config)
+    );
+    context.hiddenRoutes = new Set(hiddenPages.map((page) => page.route));
 
-        if (config.verbose) {
-          let route = pathToRoute(page.pathArray);
-          const fileName = page.pathArray[page.pathArray.length - 1];
-          if (config.indexPage && fileName === config.indexPage) {
-            route = "/";
-          }
-          console.log(`✓ Built ${route}`);
-        }
+    for (const page of hiddenPages) {
+      removePageOutput(page, config);
 
-        return { success: true, page };
-      } catch (error) {
-        const errorMsg = `Failed to build ${page.pathArray.join("/")}: ${
-          error.message
-        }`;
-        errors.push(errorMsg);
-        console.error(`✗ ${errorMsg}`);
-        return { success: false, page, error };
+      if (config.verbose) {
+        console.log(`- Skipped unpublished ${page.route}`);
       }
-    });
+    }
 
-    const batchResults = await Promise.all(batchPromises);
-    buildPromises.push(...batchResults);
+    buildResults = await Promise.all(
+      preparedPages
+        .filter((page) => !context.hiddenRoutes.has(page.route))
+        .map((page) =>
+          pageQueue.run(async () => {
+            try {
+              const built = await finishPage(page, pagesTree, config, context);
+
+              if (config.verbose) {
+                console.log(
+                  `✓ ${built.cached ? "Reused" : "Built"} ${built.route}`
+                );
+              }
+
+              return { success: true, page, built };
+            } catch (error) {
+              const errorMsg = `Failed to build ${page.pathArray.join("/")}: ${
+                error.message
+              }`;
+              errors.push(errorMsg);
+              diagnostics.push(...withRoute(error.diagnostics, page.route));
+              console.error(`✗ ${errorMsg}`);
+              return { success: false, page, error };
+            }
+          })
+        )
+    );
+  } finally {
+    if (context.staging.dir) {
+      cleanupTempDir(context.staging.dir);
+    }
   }
 
-  pageCount = buildPromises.filter((r) => r.success).length;
+  pageCount = buildResults.filter((r) => r.success).length;
+  const cachedCount = buildResults.filter(
+    (r) => r.success && r.built.cached
+  ).length;
+
+  if (context.cache) {
+    const routes = new Set(preparedPages.map((page) => page.route));
+    for (const route of Object.keys(context.cache.pages)) {
+      if (!routes.has(route)) delete context.cache.pages[route];
+    }
+    saveBuildCache(cacheDir, context.cache);
+  }
 
   let assetCount = 0;
   if (assetsTree && Object.keys(assetsTree).length > 0) {
@@ -233,15 +408,312 @@ export async function build(options = {}) {
   const nojekyllPath = path.join(config.output, ".nojekyll");
   fs.writeFileSync(nojekyllPath, "", "utf-8");
 
+  const builtPages = buildResults.filter((r) => r.success).map((r) => r.built);
+  // Pages that failed keep their previous HTML, which may link any of them
+  if (errors.length === 0) {
+    removeUnusedStylesheets(
+      config.output,
+      new Set(builtPages.flatMap((page) => page.stylesheets))
+    );
+  }
+  if (config.search?.enabled !== false) {
+    writeSearchIndex(
+      path.join(config.output, SEARCH_INDEX_FILE),
+      builtPages.flatMap((page) => page.searchEntries)
+    );
+
+    if (config.verbose) {
+      console.log(`✓ Generated ${SEARCH_INDEX_FILE}`);
+    }
+  }
+  writeSiteFiles(builtPages, config);
+
+  const duration = Date.now() - startTime;
+  const manifest = writeBuildManifest(
+    path.join(config.output, MANIFEST_FILE),
+    createBuildManifest(
+      builtPages.map((page) => page.manifestEntry),
+      { typstVersion: config.typstVersion, base: config.base, duration, errors }
+    )
+  );
+
   return {
     success: errors.length === 0,
     pageCount,
+    cachedCount,
+    skippedCount: hiddenPages.length,
     assetCount,
-    duration: Date.now() - startTime,
+    duration,
     errors,
+    diagnostics,
+    manifest,
   };
 }
 
+/**
+ * Writes site-level files (redirects, sitemap.xml, robots.txt, feeds) from the built pages
+ * @param {Array} builtPages Built page entries [{ pathArray, route, title, metadata, lastmod }]
+ * @param {Object} config Build configuration
+ */
+function writeSiteFiles(builtPages, config) {
+  let sitemapUrl = null;
+
+  writeRedirects(builtPages, config);
+
+  // Drafts included with --drafts are still left out of sitemap and feeds
+  const publishedPages = builtPages.filter(
+    (page) => isPagePublished(page.metadata) && !isErrorPage(page.pathArray)
+  );
+
+  if (config.sitemap?.enabled !== false && config.siteUrl) {
+    const entries = publishedPages.map((page) => ({
+      route: page.route,
+      lastmod: page.lastmod,
+    }));
+
+    const sitemap = generateSitemap(entries, {
+      siteUrl: config.siteUrl,
+      base: config.base,
+      exclude: config.sitemap?.exclude,
+    });
+    fs.writeFileSync(path.join(config.output, "sitemap.xml"), sitemap, "utf-8");
+    sitemapUrl = routeToUrl("/sitemap.xml", config.base, config.siteUrl);
+
+    if (config.verbose) {
+      console.log("✓ Generated sitemap.xml");
+    }
+  } else if (config.sitemap?.enabled && !config.siteUrl) {
+    console.warn("Skipping sitemap.xml: `siteUrl` is not set in config");
+  }
+
+  // Crawlers only read robots.txt at the host root, which a subpath base
+  // does not own, so there it is only written when enabled explicitly
+  const robotsEnabled =
+    config.robots?.enabled ?? (config.base === "/" ? true : null);
+  if (robotsEnabled === null) {
+    if (config.verbose) {
+      console.log(
+        `- Skipped robots.txt: base is ${config.base} (set robots.enabled to write it)`
+      );
+    }
+  } else if (robotsEnabled) {
+    const robots = generateRobots({
+      rules: config.robots?.rules,
+      base: config.base,
+      sitemapUrl,
+    });
+    fs.writeFileSync(path.join(config.output, "robots.txt"), robots, "utf-8");
+
+    if (config.verbose) {
+      console.log("✓ Generated robots.txt");
+    }
+  }
+
+  const feeds = normalizeFeeds(config.feeds);
+  if (feeds.length > 0 && !config.siteUrl) {
+    console.warn("Skipping feeds: `siteUrl` is not set in config");
+    return;
+  }
+
+  for (const feed of feeds) {
+    const items = collectFeedItems(feed, publishedPages);
+    const feedDir = path.join(config.output, ...feed.dir.split("/"));
+    const feedOptions = {
+      siteUrl: config.siteUrl,
+      base: config.base,
+      siteName: config.seo?.siteName,
+    };
+
+    fs.mkdirSync(feedDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(feedDir, "feed.xml"),
+      generateRssFeed(feed, items, feedOptions),
+      "utf-8"
+    );
+    fs.writeFileSync(
+      path.join(feedDir, "atom.xml"),
+      generateAtomFeed(feed, items, feedOptions),
+      "utf-8"
+    );
+
+    if (config.verbose) {
+      console.log(
+        `✓ Generated feeds for /${feed.dir} (${items.length} item(s))`
+      );
+    }
+  }
+}
+
+/**
+ * Writes redirect stub pages for the configured redirects, and the
+ * `_redirects` file when enabled
+ * @param {Array} builtPages Built page entries from finishPage()
+ * @param {Object} config Build configuration
+ */
+function writeRedirects(builtPages, config) {
+  const pageRoutes = new Set(builtPages.map((page) => page.route));
+  const rules = normalizeRedirects(config.redirects).filter((rule) => {
+    if (!rule.wildcard && pageRoutes.has(rule.from)) {
+      console.warn(`Skipping redirect from ${rule.from}: a page exists there`);
+      return false;
+    }
+    return true;
+  });
+  if (rules.length === 0) return;
+
+  let stubCount = 0;
+
+  for (const rule of rules) {
+    // Wildcard rules get a stub at their prefix only; deeper paths need
+    // the `_redirects` file or a server that applies the rules
+    const route = rule.wildcard ? rule.from.slice(0, -1) : rule.from;
+    if (pageRoutes.has(route)) continue;
+
+    let stubFile;
+    if (route.endsWith("/")) {
+      stubFile = routeToBuildPath(route).htmlPath;
+    } else if (route.endsWith(".html")) {
+      stubFile = route.slice(1);
+    } else {
+      const note = config.redirectsFile
+        ? " (the rule is still in _redirects)"
+        : "";
+      console.warn(
+        `Skipping redirect page for ${rule.from}: only routes and .html paths can have one${note}`
+      );
+      continue;
+    }
+
+    const target = resolveRedirectTarget(rule.to.replace("*", ""), config.base);
+    const stubPath = path.join(config.output, stubFile);
+    fs.mkdirSync(path.dirname(stubPath), { recursive: true });
+    fs.writeFileSync(stubPath, generateRedirectStub(target), "utf-8");
+    stubCount++;
+  }
+
+  if (config.redirectsFile) {
+    fs.writeFileSync(
+      path.join(config.output, "_redirects"),
+      generateRedirectsFile(rules, config.base),
+      "utf-8"
+    );
+  }
+
+  if (config.verbose) {
+    console.log(
+      `✓ Generated ${stubCount} redirect page(s)${
+        config.redirectsFile ? " and _redirects" : ""
+      }`
+    );
+  }
+}
+
+/**
+ * Lists the pages of the pages tree, leaving out index.typ layouts
+ * @param {Object} pagesTree Pages tree structure
+ * @returns {Array} Pages [{ pathArray, content }]
+ */
+function listPages(pagesTree) {
+  const pages = [];
+
+  walkTree(pagesTree, (pathArray, content, isLeaf) => {
+    if (!isLeaf || !pathArray[pathArray.length - 1].endsWith(".typ")) {
+      return;
+    }
+
+    if (
+      pathArray[pathArray.length - 1] === "index.typ" &&
+      isLayoutFile(content)
+    ) {
+      return;
+    }
+
+    pages.push({ pathArray, content });
+  });
+
+  return pages;
+}
+
+/**
+ * Lists every page for the site-level files after an incremental rebuild:
+ * the rebuilt pages, and the others from their cached metadata
+ * @param {Object} pagesTree Pages tree structure
+ * @param {Array} builtPages Pages rebuilt by finishPage()
+ * @param {Object} config Build configuration
+ * @param {Object} context Build context { cache, hiddenRoutes }
+ * @returns {Array} Page entries [{ pathArray, route, title, metadata, lastmod }]
+ */
+function listSitePages(pagesTree, builtPages, config, context) {
+  const rebuilt = new Map(builtPages.map((page) => [page.route, page]));
+
+  return listPages(pagesTree).flatMap(({ pathArray }) => {
+    const route = getPageRoute(pathArray, config);
+    if (rebuilt.has(route)) return [rebuilt.get(route)];
+
+    const entry = context.cache.pages[route]?.query;
+    if (!entry || context.hiddenRoutes.has(route)) return [];
+
+    const sourcePath = path.join(config.src, PAGES_DIR_NAME, ...pathArray);
+    return [
+      {
+        pathArray,
+        route,
+        title: entry.metadata.title || getDefaultTitle(route),
+        metadata: entry.metadata,
+        lastmod: fs.statSync(sourcePath).mtime,
+      },
+    ];
+  });
+}
+
+/**
+ * Gets the title of a page that sets none in its metadata
+ * @param {string} route Page route
+ * @returns {string} Last route segment, or 'Home' for the root
+ */
+function getDefaultTitle(route) {
+  return route.split("/").filter(Boolean).pop() || "Home";
+}
+
+/**
+ * Resolves the route for a page, honouring the configured index page
+ * @param {string[]} pagePathArray Path array to the page file
+ * @param {Object} config Build configuration
+ * @returns {string} Route string
+ */
+export function getPageRoute(pagePathArray, config) {
+  const fileName = pagePathArray[pagePathArray.length - 1];
+  if (config.indexPage && fileName === config.indexPage) {
+    return "/";
+  }
+  return pathToRoute(pagePathArray);
+}
+
+/**
+ * Checks if a page is the site's error page (pages/404.typ)
+ * @param {string[]} pagePathArray Path array to the page file
+ * @returns {boolean} True for the error page
+ */
+function isErrorPage(pagePathArray) {
+  return pagePathArray.length === 1 && pagePathArray[0] === ERROR_PAGE_FILE;
+}
+
+/**
+ * Gets the output paths of a page. The error page is written to a
+ * top-level 404.html so static hosts can serve it for any missing path;
+ * its PDFs stay in 404/.
+ * @param {string[]} pagePathArray Path array to the page file
+ * @param {string} route Page route
+ * @returns {Object} Build paths, see routeToBuildPath()
+ */
+export function getPageBuildPaths(pagePathArray, route) {
+  const buildPaths = routeToBuildPath(route);
+  if (isErrorPage(pagePathArray)) {
+    buildPaths.htmlPath = "404.html";
+  }
+  return buildPaths;
+}
+
 /**
  * Builds dependency graph
  * @param {Object} config Build configuration
@@ -268,6 +740,9 @@ function buildCompleteDependencyGraph(config, pagesTree) {
       graph.set(pagePathInSrc, new Set());
     }
     const pageDeps = graph.get(pagePathInSrc);
+    for (const dep of config.preamble?.dependencies || []) {
+      pageDeps.add(dep);
+    }
 
     const layouts = findLayout(
       pathArray,
@@ -292,6 +767,88 @@ function buildCompleteDependencyGraph(config, pagesTree) {
   return graph;
 }
 
+/**
+ * Finds the pages whose stylesheets a changed CSS file affects: pages that
+ * use it or import it, and pages it would apply to by its name and place,
+ * so added and deleted files are picked up too
+ * @param {string} changedFile Absolute path of the CSS file
+ * @param {Object} pagesTree Pages tree structure
+ * @param {Object} config Build configuration
+ * @param {Map<string, Object>} resolved Resolved CSS, see resolveCssFileImports()
+ * @returns {Array} Affected pages [{ pathArray, content }]
+ */
+function findCssAffectedPages(changedFile, pagesTree, config, resolved) {
+  const changedPath = path.resolve(changedFile);
+  const relativePath = normalizePath(
+    path.relative(path.join(config.src, PAGES_DIR_NAME), changedPath)
+  );
+  const changedPathArray = relativePath.startsWith("..")
+    ? null
+    : relativePath.split("/");
+
+  return listPages(pagesTree).filter(({ pathArray }) => {
+    if (changedPathArray) {
+      const dir = changedPathArray.slice(0, -1);
+      const fileName = changedPathArray[changedPathArray.length - 1];
+      const isInDir = dir.every((part, i) => pathArray[i] === part);
+      const pageFile = pathArray[pathArray.length - 1];
+
+      if (fileName === "index.css" && isInDir) return true;
+      if (
+        isInDir &&
+        dir.length === pathArray.length - 1 &&
+        fileName === pageFile.replace(/\.typ$/, ".css")
+      ) {
+        return true;
+      }
+    }
+
+    const cssFiles = [
+      findCss(
+        pathArray,
+        pagesTree,
+        config.layoutInheritance,
+        config.maxMergeDepth
+      ),
+      findPageCss(pathArray, pagesTree),
+    ].flatMap((result) => {
+      const css = resolveCssFileImports(result, config, resolved);
+      return Array.isArray(css) ? css : css ? [css] : [];
+    });
+
+    return cssFiles.some((css) => css.imports.has(changedPath));
+  });
+}
+
+/**
+ * Adds the named layouts of pages to a copy of the dependency graph. They are
+ * known from the cached metadata; a page without it may use any of them.
+ * @param {Map<string, Set<string>>} depGraph Complete dependency graph
+ * @param {Object} pagesTree Pages tree structure
+ * @param {Object} config Build configuration
+ * @param {Object|undefined} cache Build cache from loadBuildCache()
+ * @returns {Map<string, Set<string>>} Dependency graph
+ */
+function addNamedLayoutDependencies(depGraph, pagesTree, config, cache) {
+  const graph = new Map(depGraph);
+  const namedLayouts = listNamedLayouts(config).map(getNamedLayoutPath);
+
+  for (const { pathArray } of listPages(pagesTree)) {
+    const pagePath = PAGES_DIR_NAME + "/" + pathArray.join("/");
+    const entry = cache?.pages[getPageRoute(pathArray, config)]?.query;
+
+    let layouts = namedLayouts;
+    if (entry) {
+      const name = getLayoutName(entry.metadata);
+      layouts = name === null ? [] : [getNamedLayoutPath(name)];
+    }
+
+    graph.set(pagePath, new Set([...(graph.get(pagePath) || []), ...layouts]));
+  }
+
+  return graph;
+}
+
 /**
  * Finds all pages affected by a file change
  * @param {string} changedFile Changed file path
@@ -356,19 +913,20 @@ function findAffectedPages(
 }
 
 /**
- * Sets up temporary directory with all required files for compilation
- * @param {string} tempDirBase Base temporary directory path
- * @param {string[]} pagePathArray Page path array
+ * Gets the build's staging directory, a copy of the pages and sibling source
+ * directories that every page compiles against. It is set up on first use, so
+ * builds where every page is cached copy nothing.
+ * @param {Object} staging Staging state from the build context { dir }
  * @param {Object} config Build configuration
- * @returns {string} Working directory path for this specific page
+ * @returns {string} Staging directory path
  */
-function setupTempDirectory(tempDirBase, pagePathArray, config) {
-  const pageDir = pagePathArray.slice(0, -1);
-  const tempDir = path.join(tempDirBase, ...pageDir);
-  fs.mkdirSync(tempDir, { recursive: true });
+function getStagingDirectory(staging, config) {
+  if (staging.dir) return staging.dir;
+
+  const stagingDir = createTempDir(TEMP_DIR_PREFIX, config.root);
 
   const pagesDir = path.join(config.src, PAGES_DIR_NAME);
-  copyAllTypFiles(pagesDir, tempDirBase, EXCLUDE_DIRS);
+  copyAllTypFiles(pagesDir, stagingDir, EXCLUDE_DIRS);
 
   const srcEntries = fs.readdirSync(config.src, { withFileTypes: true });
   const pagesDirName = path.basename(pagesDir);
@@ -379,129 +937,391 @@ function setupTempDirectory(tempDirBase, pagePathArray, config) {
     if (isExcludedDir(entry.name)) continue;
 
     const sourceDir = path.join(config.src, entry.name);
-    const destDir = path.join(tempDirBase, entry.name);
+    if (config.fonts.includes(sourceDir)) continue;
+
+    const destDir = path.join(stagingDir, entry.name);
     copyAllTypFiles(sourceDir, destDir, EXCLUDE_DIRS);
   }
 
-  return tempDir;
+  staging.dir = stagingDir;
+  return stagingDir;
 }
 
 /**
- * Recursively copies all .typ files and assets from source directory to destination
- * @param {string} sourceDir Source directory to copy from
- * @param {string} destDir Destination directory to copy to
- * @param {string[]} excludeDirs Directory names to exclude
+ * Resolves the font directories passed to Typst
+ * @param {string[]|undefined} fonts Font directories from the config, relative to the project root
+ * @param {Object} config Build configuration
+ * @returns {string[]} Existing absolute font directories (default: src/fonts if it exists)
  */
-function copyAllTypFiles(sourceDir, destDir, excludeDirs = []) {
-  if (!fs.existsSync(sourceDir)) {
-    return;
+function resolveFontPaths(fonts, config) {
+  if (!fonts) {
+    const defaultDir = path.join(config.src, FONTS_DIR_NAME);
+    return fs.existsSync(defaultDir) ? [defaultDir] : [];
   }
 
-  if (!fs.existsSync(destDir)) {
-    fs.mkdirSync(destDir, { recursive: true });
+  return (Array.isArray(fonts) ? fonts : [fonts])
+    .map((fontDir) => path.resolve(config.root, fontDir))
+    .filter((fontDir) => {
+      if (fs.existsSync(fontDir)) return true;
+      console.warn(`Font directory not found: ${fontDir}`);
+      return false;
+    });
+}
+
+/**
+ * Loads the `preamble` config: Typst source, or the path of a .typ file
+ * relative to the project root. Imports in inline source resolve as if it
+ * were src/preamble.typ.
+ * @param {string|undefined} preamble Preamble config value
+ * @param {Object} config Build configuration
+ * @returns {Object|null} Preamble { source, pathArray, file, dependencies } with pathArray relative to pages/, file relative to src (null for inline source) and the dependency graph entries pages get from it, or null
+ */
+function loadPreamble(preamble, config) {
+  if (!preamble) return null;
+  if (typeof preamble !== "string") {
+    throw new Error("preamble must be Typst source or a path to a .typ file");
   }
 
-  const entries = fs.readdirSync(sourceDir, { withFileTypes: true });
+  if (!preamble.includes("\n") && preamble.trim().endsWith(".typ")) {
+    const filePath = path.resolve(config.root, preamble.trim());
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Preamble file not found: ${filePath}`);
+    }
 
-  for (const entry of entries) {
-    if (isExcludedDir(entry.name)) continue;
+    const file = normalizePath(path.relative(config.src, filePath));
+    return {
+      source: fs.readFileSync(filePath, "utf-8"),
+      pathArray: path
+        .relative(path.join(config.src, PAGES_DIR_NAME), filePath)
+        .split(path.sep),
+      file,
+      dependencies: [file],
+    };
+  }
 
-    const sourcePath = path.join(sourceDir, entry.name);
-    const destPath = path.join(destDir, entry.name);
+  return {
+    source: preamble,
+    pathArray: ["..", PREAMBLE_FILE_NAME],
+    file: null,
+    dependencies: [...readTypstDependencies(preamble, PREAMBLE_FILE_NAME)],
+  };
+}
 
-    if (entry.isDirectory()) {
-      copyAllTypFiles(sourcePath, destPath, excludeDirs);
-    } else if (entry.isFile()) {
-      const ext = path.extname(entry.name).toLowerCase();
-      if (!SKIP_EXTENSIONS.includes(ext)) {
-        fs.copyFileSync(sourcePath, destPath);
+/**
+ * Gets the preamble for a page's document, sidebar or TOC, with its imports
+ * rewritten relative to the page
+ * @param {Object|null} preamble Preamble from loadPreamble()
+ * @param {string[]} pagePathArray Path array to the page file
+ * @returns {string} Typst source to prepend ('' without a preamble)
+ */
+function getPreambleSource(preamble, pagePathArray) {
+  if (!preamble) return "";
+  return rewriteImports(preamble.source, preamble.pathArray, pagePathArray);
+}
+
+/**
+ * Gets the font options for compileTypst() and readPageMetadata()
+ * @param {Object} config Build configuration
+ * @returns {Object} { fontPaths, ignoreSystemFonts }
+ */
+function typstFontOptions(config) {
+  return {
+    fontPaths: config.fonts,
+    ignoreSystemFonts: config.ignoreSystemFonts,
+  };
+}
+
+/**
+ * Gets the font values for cache keys: the font options, and the size and
+ * modification time of every font file
+ * @param {Object} config Build configuration
+ * @returns {Object} { fontPaths, ignoreSystemFonts, files }
+ */
+function fontCacheOptions(config) {
+  return { ...typstFontOptions(config), files: config.fontFiles };
+}
+
+/**
+ * Warns about fonts named in the theme, layouts or preamble that Typst cannot find,
+ * since Typst silently falls back to another font
+ * @param {Object} pagesTree Pages tree
+ * @param {Object} config Build configuration
+ */
+function warnMissingFonts(pagesTree, config) {
+  const available = listTypstFonts(typstFontOptions(config));
+  if (!available) return;
+
+  const availableNames = new Set(available.map((name) => name.toLowerCase()));
+  const usedFonts = new Map();
+  const addFont = (name, where) => {
+    if (!usedFonts.has(name)) usedFonts.set(name, []);
+    usedFonts.get(name).push(where);
+  };
+
+  const theme = config.theme || {};
+  if (config.sidebar?.enabled !== false) {
+    addFont(theme.sidebarFont || DEFAULT_NAVIGATION_FONT, "theme.sidebarFont");
+  }
+  if (config.toc?.enabled !== false) {
+    addFont(theme.tocFont || DEFAULT_NAVIGATION_FONT, "theme.tocFont");
+  }
+
+  const addLayoutFonts = (content, file) => {
+    for (const match of content.matchAll(FONT_REGEX)) {
+      for (const name of match[1].matchAll(/"([^"]+)"/g)) {
+        addFont(name[1], file);
       }
     }
+  };
+
+  walkTree(pagesTree, (pathArray, content, isLeaf) => {
+    if (!isLeaf || !isLayoutFile(content)) return;
+    addLayoutFonts(content, [PAGES_DIR_NAME, ...pathArray].join("/"));
+  });
+
+  for (const name of listNamedLayouts(config)) {
+    const layout = findNamedLayout(name, config);
+    addLayoutFonts(layout.source, getSourcePath(layout.pathArray));
+  }
+
+  if (config.preamble) {
+    addLayoutFonts(config.preamble.source, config.preamble.file || "preamble");
+  }
+
+  for (const [name, usedIn] of usedFonts) {
+    if (!availableNames.has(name.toLowerCase())) {
+      console.warn(
+        `⚠ Font "${name}" is not available (used in ${[...new Set(usedIn)].join(
+          ", "
+        )})`
+      );
+    }
   }
 }
 
 /**
- * Extract page title from Typst source
- * @param {string} document Typst source document
- * @returns {string|null} Page title or null
+ * Gets the values a page is compiled with as `sys.inputs`: the user's
+ * `inputs` config plus the build context, which takes precedence
+ * @param {string} route Page route
+ * @param {string[]} pagePathArray Path array to the page file
+ * @param {Object} config Build configuration
+ * @returns {Object} Input values by key (all strings)
  */
-function extractPageTitle(document) {
-  const titleRegex = /#page-title\s*\(\s*"([^"]*)"\s*\)/g;
-  const matches = [...document.matchAll(titleRegex)];
+function getPageInputs(route, pagePathArray, config) {
+  const inputs = {};
+  for (const [key, value] of Object.entries(config.inputs || {})) {
+    inputs[key] = typeof value === "string" ? value : JSON.stringify(value);
+  }
 
-  if (matches.length > 0) {
-    return matches[matches.length - 1][1];
+  return {
+    ...inputs,
+    route,
+    base: config.base,
+    "site-url": config.siteUrl || "",
+    mode: config.mode,
+    "source-path": [PAGES_DIR_NAME, ...pagePathArray].join("/"),
+  };
+}
+
+/**
+ * Lists the pages directly in a directory of the pages tree, in sidebar order
+ * @param {Object} node Tree node of the directory
+ * @param {string[]} pathArray Path array to the directory
+ * @param {Object} config Build configuration
+ * @param {Set<string>} hiddenRoutes Routes of unpublished pages to leave out
+ * @returns {Array} Pages [{ title, route }]
+ */
+function listDirectoryPages(node, pathArray, config, hiddenRoutes) {
+  const pages = [];
+
+  for (const [key, value] of Object.entries(node)) {
+    if (!key.endsWith(".typ") || typeof value !== "string") continue;
+    if (key === "index.typ" && isLayoutFile(value)) continue;
+
+    const pagePathArray = [...pathArray, key];
+    if (isErrorPage(pagePathArray)) continue;
+
+    const route = getPageRoute(pagePathArray, config);
+    if (hiddenRoutes.has(route)) continue;
+
+    pages.push({
+      title: formatNavigationTitle(key.replace(".typ", "")),
+      route,
+    });
   }
 
-  return null;
+  return pages.sort((a, b) => (b.route === "/") - (a.route === "/"));
 }
 
 /**
- * Extract page config from Typst source
- * @param {string} document Typst source document
- * @returns {Object} Page configuration
+ * Builds the page dictionary passed to layouts defined as
+ * `layout(body, page)`: the page's metadata (with Typst style keys) plus its
+ * route, breadcrumbs and the previous and next pages in its directory.
+ * Breadcrumbs and siblings are titled like the sidebar.
+ * @param {Object} options Page options
+ * @param {string[]} options.pagePathArray Path array to the page file
+ * @param {string} options.route Page route
+ * @param {string} options.title Page title
+ * @param {Object} options.metadata Page metadata from readPageMetadata()
+ * @param {Object} options.pagesTree Full pages tree object
+ * @param {Object} options.config Build configuration
+ * @param {Set<string>} options.hiddenRoutes Routes of unpublished pages to leave out
+ * @returns {Object} Page dictionary, see toTypstValue()
  */
-function extractPageConfig(document) {
-  const configRegex = /#page-config\s*\(([\s\S]*?)\)/g;
-  const match = configRegex.exec(document);
+function getLayoutPage({
+  pagePathArray,
+  route,
+  title,
+  metadata,
+  pagesTree,
+  config,
+  hiddenRoutes = new Set(),
+}) {
+  const toLink = (linkTitle, linkRoute) => ({
+    title: linkTitle,
+    route: linkRoute,
+    url: linkRoute === null ? null : routeToUrl(linkRoute, config.base),
+  });
 
-  const defaultConfig = {
-    sidebar: true,
-    toc: true,
-    tocMinLevel: 1,
-    tocMaxLevel: 4,
-  };
+  let node = pagesTree;
+  let pages = listDirectoryPages(node, [], config, hiddenRoutes);
+
+  const breadcrumbs = [];
+  const home = pages.find((page) => page.route === "/");
+  if (home && route !== "/") {
+    breadcrumbs.push(toLink(home.title, home.route));
+  }
 
-  if (!match) return defaultConfig;
+  for (let i = 0; i < pagePathArray.length - 1; i++) {
+    const dirPathArray = pagePathArray.slice(0, i + 1);
+    const dirRoute = `/${dirPathArray.join("/")}/`;
+    const parentPages = pages;
 
-  const configStr = match[1];
-  const config = { ...defaultConfig };
+    node = node[pagePathArray[i]];
+    pages = listDirectoryPages(node, dirPathArray, config, hiddenRoutes);
 
-  const sidebarMatch = configStr.match(/sidebar:\s*(true|false)/);
-  if (sidebarMatch) {
-    config.sidebar = sidebarMatch[1] === "true";
+    // The directory's own page (blog/index.typ) is the last breadcrumb
+    if (dirRoute === route) continue;
+
+    const hasPage = [...parentPages, ...pages].some(
+      (page) => page.route === dirRoute
+    );
+    breadcrumbs.push(
+      toLink(formatNavigationTitle(pagePathArray[i]), hasPage ? dirRoute : null)
+    );
   }
+  breadcrumbs.push(toLink(title, route));
 
-  const tocMatch = configStr.match(/toc:\s*(true|false)/);
-  if (tocMatch) {
-    config.toc = tocMatch[1] === "true";
+  const index = pages.findIndex((page) => page.route === route);
+  const previous = index > 0 ? pages[index - 1] : null;
+  const next = index >= 0 && index < pages.length - 1 ? pages[index + 1] : null;
+
+  const page = {};
+  for (const [key, value] of Object.entries(metadata)) {
+    page[key.replace(/[A-Z]/g, (char) => `-${char.toLowerCase()}`)] = value;
   }
 
-  const minLevelMatch = configStr.match(/toc-min-level:\s*(\d+)/);
-  if (minLevelMatch) {
-    config.tocMinLevel = parseInt(minLevelMatch[1]);
+  return {
+    ...page,
+    title,
+    route,
+    url: routeToUrl(route, config.base),
+    "source-path": [PAGES_DIR_NAME, ...pagePathArray].join("/"),
+    breadcrumbs,
+    previous: previous && toLink(previous.title, previous.route),
+    next: next && toLink(next.title, next.route),
+  };
+}
+
+/**
+ * Gets the location of a page's generated entry file in the staging directory.
+ * Entry files sit next to the page so its relative imports resolve, and are
+ * named after it so pages in the same directory can compile in parallel.
+ * The kind comes first (e.g., '.tssg-sidebar-post.typ'), so no page's name
+ * can produce another page's entry of a different kind.
+ * @param {string[]} pagePathArray Path array to the page file
+ * @param {string} kind Entry kind: 'page' | 'sidebar' | 'toc'
+ * @param {Object} staging Staging state from the build context { dir }
+ * @param {Object} config Build configuration
+ * @returns {Object} { rootDir, workDir, inputName, inputPath }
+ */
+function getPageEntry(pagePathArray, kind, staging, config) {
+  const rootDir = getStagingDirectory(staging, config);
+  const workDir = path.join(rootDir, ...pagePathArray.slice(0, -1));
+  fs.mkdirSync(workDir, { recursive: true });
+
+  const stem = path.basename(pagePathArray[pagePathArray.length - 1], ".typ");
+  const inputName = `.tssg-${kind}-${stem}.typ`;
+
+  return {
+    rootDir,
+    workDir,
+    inputName,
+    inputPath: path.join(workDir, inputName),
+  };
+}
+
+/**
+ * Recursively copies all .typ files and assets from source directory to destination
+ * @param {string} sourceDir Source directory to copy from
+ * @param {string} destDir Destination directory to copy to
+ * @param {string[]} excludeDirs Directory names to exclude
+ */
+function copyAllTypFiles(sourceDir, destDir, excludeDirs = []) {
+  if (!fs.existsSync(sourceDir)) {
+    return;
   }
 
-  const maxLevelMatch = configStr.match(/toc-max-level:\s*(\d+)/);
-  if (maxLevelMatch) {
-    config.tocMaxLevel = parseInt(maxLevelMatch[1]);
+  if (!fs.existsSync(destDir)) {
+    fs.mkdirSync(destDir, { recursive: true });
   }
 
-  return config;
+  const entries = fs.readdirSync(sourceDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    if (isExcludedDir(entry.name)) continue;
+
+    const sourcePath = path.join(sourceDir, entry.name);
+    const destPath = path.join(destDir, entry.name);
+
+    if (entry.isDirectory()) {
+      copyAllTypFiles(sourcePath, destPath, excludeDirs);
+    } else if (entry.isFile()) {
+      const ext = path.extname(entry.name).toLowerCase();
+      if (!SKIP_EXTENSIONS.includes(ext)) {
+        fs.copyFileSync(sourcePath, destPath);
+      }
+    }
+  }
 }
 
 /**
- * Builds a single page
+ * Prepares a single page: resolves its layouts and CSS and reads its
+ * metadata. The document is compiled by finishPage() once every page's
+ * metadata is known, so layouts can be given the page dictionary.
  * @param {string[]} pagePathArray Path array to the page file
  * @param {string} pageContent Content of the page file
  * @param {Object} pagesTree Full pages tree object
  * @param {Object} config Build configuration
+ * @param {Object} context Build context { cache, depGraph, queue, staging, resolvedCss }
+ * @returns {Promise<Object>} Prepared page { pathArray, route, buildPaths, pageContent, layoutResult, stylesheets, layouts, css, title, metadata, dependencies, sourcePath, lastmod, compileTime, cached }
  */
-async function buildPage(pagePathArray, pageContent, pagesTree, config) {
-  let route = pathToRoute(pagePathArray);
-
-  const fileName = pagePathArray[pagePathArray.length - 1];
-  if (config.indexPage && fileName === config.indexPage) {
-    route = "/";
-  }
+async function preparePage(
+  pagePathArray,
+  pageContent,
+  pagesTree,
+  config,
+  context = {}
+) {
+  const route = getPageRoute(pagePathArray, config);
 
-  const buildPaths = routeToBuildPath(route);
+  const buildPaths = getPageBuildPaths(pagePathArray, route);
 
-  const layoutResult = findLayout(
+  const directoryLayout = resolvePageLayout(
     pagePathArray,
+    null,
     pagesTree,
-    config.layoutInheritance,
-    config.maxMergeDepth
+    config
   );
 
   const cssResult = findCss(
@@ -511,105 +1331,1056 @@ async function buildPage(pagePathArray, pageContent, pagesTree, config) {
     config.maxMergeDepth
   );
 
-  const customCss = composeCss(cssResult, config.layoutInheritance);
+  const pageCss = findPageCss(pagePathArray, pagesTree);
+
+  // Directory and page styles stay apart, so the directory's can be shared
+  const stylesheets = [
+    composeCss(
+      resolveCssFileImports(cssResult, config, context.resolvedCss),
+      config.layoutInheritance
+    ),
+    pageCss
+      ? resolveCssFileImports(pageCss, config, context.resolvedCss).source
+      : "",
+  ];
+
+  // The metadata is read before it is known, so layouts see the defaults here
+  const defaultTitle = getDefaultTitle(route);
+  const composeQueryDocument = (layoutResult) =>
+    composeDocumentWithSourceMap(
+      layoutResult,
+      pageContent,
+      pagePathArray,
+      config.layoutInheritance,
+      getLayoutPage({
+        pagePathArray,
+        route,
+        title: defaultTitle,
+        metadata: DEFAULT_PAGE_METADATA,
+        pagesTree,
+        config,
+      }),
+      config.preamble
+    );
+  const { source: document, sourceMap } = composeQueryDocument(directoryLayout);
 
-  const document = composeDocument(
-    layoutResult,
-    pageContent,
+  const queryOptions = {
+    route,
+    document,
+    sourceMap,
+    pagePathArray,
+    config,
+    queue: context.queue || createWorkQueue(1),
+    staging: context.staging,
+  };
+
+  // The metadata selects the layout, so a page with a named layout is
+  // queried again with it, since layouts can set metadata too
+  const queryMetadata = async () => {
+    const queried = await queryPageMetadata(queryOptions);
+    const name = getLayoutName(queried.metadata);
+    if (name === null) return queried;
+
+    const named = composeQueryDocument(
+      resolvePageLayout(pagePathArray, name, pagesTree, config)
+    );
+    const requeried = await queryPageMetadata({
+      ...queryOptions,
+      document: named.source,
+      sourceMap: named.sourceMap,
+    });
+    return {
+      metadata: { ...requeried.metadata, layout: name },
+      compileTime: queried.compileTime + requeried.compileTime,
+    };
+  };
+
+  const sourcePath = path.join(config.src, PAGES_DIR_NAME, ...pagePathArray);
+
+  let queried;
+  let dependencies = [];
+  let cached = false;
+
+  if (context.cache) {
+    // Keyed on the named layout the last query found, which is only
+    // known from the query
+    const entry = context.cache.pages[route]?.query;
+    const getQueryKey = () =>
+      hashPageInputs({
+        document,
+        dependencies,
+        typstVersion: config.typstVersion,
+        config: {
+          inputs: getPageInputs(route, pagePathArray, config),
+          fonts: fontCacheOptions(config),
+        },
+      });
+
+    dependencies = readPageDependencies(
+      pagePathArray,
+      context.depGraph,
+      config,
+      getLayoutName(entry?.metadata)
+    );
+
+    if (isCacheEntryFresh(entry, getQueryKey(), config.output)) {
+      queried = entry;
+      cached = true;
+    } else {
+      queried = await queryMetadata();
+      dependencies = readPageDependencies(
+        pagePathArray,
+        context.depGraph,
+        config,
+        getLayoutName(queried.metadata)
+      );
+      context.cache.pages[route] = {
+        ...context.cache.pages[route],
+        query: { key: getQueryKey(), ...queried },
+      };
+    }
+  } else {
+    queried = await queryMetadata();
+  }
+
+  const layoutResult = resolvePageLayout(
     pagePathArray,
-    config.layoutInheritance
+    getLayoutName(queried.metadata),
+    pagesTree,
+    config
   );
 
-  const pageTitle = extractPageTitle(document);
-  const defaultTitle = route.split("/").filter(Boolean).pop() || "Home";
-  const title = pageTitle || defaultTitle;
+  return {
+    pathArray: pagePathArray,
+    route,
+    buildPaths,
+    pageContent,
+    layoutResult,
+    stylesheets,
+    layouts: listSourcePaths(layoutResult),
+    css: [...listSourcePaths(cssResult), ...listSourcePaths(pageCss)],
+    title: queried.metadata.title || defaultTitle,
+    metadata: queried.metadata,
+    dependencies,
+    sourcePath,
+    lastmod: fs.statSync(sourcePath).mtime,
+    compileTime: cached ? 0 : queried.compileTime,
+    cached,
+  };
+}
 
-  const pageConfig = extractPageConfig(document);
+/**
+ * Finishes a prepared page: composes its document with the page dictionary,
+ * compiles it, its sidebar and TOC, and writes its HTML viewer
+ * @param {Object} page Prepared page from preparePage()
+ * @param {Object} pagesTree Full pages tree object
+ * @param {Object} config Build configuration
+ * @param {Object} context Build context { cache, queue, staging, hiddenRoutes }
+ * @returns {Promise<Object>} Built page { pathArray, route, title, metadata, searchEntries, stylesheets, sourcePath, lastmod, cached, manifestEntry }
+ */
+async function finishPage(page, pagesTree, config, context = {}) {
+  const { route, buildPaths, metadata } = page;
+  const queue = context.queue || createWorkQueue(1);
+
+  const { source: document, sourceMap } = composeDocumentWithSourceMap(
+    page.layoutResult,
+    page.pageContent,
+    page.pathArray,
+    config.layoutInheritance,
+    getLayoutPage({
+      pagePathArray: page.pathArray,
+      route,
+      title: page.title,
+      metadata,
+      pagesTree,
+      config,
+      hiddenRoutes: context.hiddenRoutes,
+    }),
+    config.preamble
+  );
 
-  const tempDirBase = createTempDir(TEMP_DIR_PREFIX, config.root);
+  const documentOptions = {
+    route,
+    buildPaths,
+    document,
+    sourceMap,
+    pagePathArray: page.pathArray,
+    title: page.title,
+    metadata,
+    config,
+    queue,
+    staging: context.staging,
+  };
+
+  let compiled;
+  let documentCached = false;
+
+  if (context.cache) {
+    const documentKey = hashPageInputs({
+      document,
+      dependencies: page.dependencies,
+      typstVersion: config.typstVersion,
+      config: {
+        base: config.base,
+        indexPage: config.indexPage,
+        layoutInheritance: config.layoutInheritance,
+        maxMergeDepth: config.maxMergeDepth,
+        search: config.search?.enabled !== false,
+        fallback: config.fallback?.enabled === true ? config.fallback : null,
+        inputs: getPageInputs(route, page.pathArray, config),
+        fonts: fontCacheOptions(config),
+      },
+    });
+
+    const entry = context.cache.pages[route]?.document;
+    if (isCacheEntryFresh(entry, documentKey, config.output)) {
+      compiled = entry;
+      documentCached = true;
+    } else {
+      compiled = await compileDocument(documentOptions);
+      context.cache.pages[route] = {
+        ...context.cache.pages[route],
+        document: { key: documentKey, ...compiled },
+      };
+    }
+  } else {
+    compiled = await compileDocument(documentOptions);
+  }
+
+  let sidebarStructure = [];
+  let sidebarTypst = null;
+  if (config.sidebar?.enabled !== false && metadata.sidebar) {
+    sidebarStructure = generateSidebarStructure(
+      pagesTree,
+      route,
+      config,
+      context.hiddenRoutes
+    );
+    sidebarTypst = generateSidebarTypst(
+      sidebarStructure,
+      config.theme || {},
+      getPreambleSource(config.preamble, page.pathArray)
+    );
+  }
+
+  let headings = [];
+  let tocTypst = null;
+  if (config.toc?.enabled !== false && metadata.toc) {
+    const tocMinLevel = config.toc?.minLevel || metadata.tocMinLevel;
+    const tocMaxLevel = config.toc?.maxLevel || metadata.tocMaxLevel;
+
+    headings = extractHeadings(document, tocMinLevel, tocMaxLevel);
+    tocTypst = generateTocTypst(
+      headings,
+      config.theme || {},
+      getPreambleSource(config.preamble, page.pathArray)
+    );
+  }
+
+  const compileOptions = {
+    route,
+    pagePathArray: page.pathArray,
+    buildPaths,
+    sidebarTypst,
+    hasSidebarItems: sidebarStructure.length > 0,
+    tocTypst,
+    hasTocItems: headings.length > 0,
+    config,
+    queue,
+    staging: context.staging,
+  };
+
+  let navigation;
+  let cached = false;
+
+  const cacheEntry = context.cache?.pages[route];
+  if (cacheEntry) {
+    const navigationKey = hashPageInputs({
+      sources: [sidebarTypst, tocTypst],
+      dependencies: config.preamble ? page.dependencies : [],
+      typstVersion: config.typstVersion,
+      config: {
+        inputs: getPageInputs(route, page.pathArray, config),
+        fonts: fontCacheOptions(config),
+      },
+    });
+
+    if (
+      isCacheEntryFresh(cacheEntry.navigation, navigationKey, config.output)
+    ) {
+      navigation = cacheEntry.navigation;
+      cached = true;
+    } else {
+      navigation = await compileNavigation(compileOptions);
+      cacheEntry.navigation = { key: navigationKey, ...navigation };
+    }
+  } else {
+    navigation = await compileNavigation(compileOptions);
+  }
+
+  const fallbackPages = compiled.fallbackPages || [];
+  const styles = writePageStylesheets(page.stylesheets, config);
+  const viewerHtml = generateViewer(
+    route,
+    page.title,
+    config.pdfQuality,
+    styles.inline,
+    navigation.hasSidebar,
+    navigation.hasToc,
+    config.base,
+    {
+      metadata,
+      siteUrl: config.siteUrl,
+      seo: config.seo,
+      lang: config.lang,
+      hasSearch: config.search?.enabled !== false,
+      pageDir: routeToUrl(
+        buildPaths.dir ? `/${buildPaths.dir}/` : "/",
+        config.base
+      ),
+      isErrorPage: isErrorPage(page.pathArray),
+      content: compiled.content || "",
+      html: compiled.html ?? null,
+      fallbackPages,
+      stylesheets: styles.files.map((file) =>
+        routeToUrl(`/${file}`, config.base)
+      ),
+    }
+  );
+  const htmlPath = path.join(config.output, buildPaths.htmlPath);
+  fs.mkdirSync(path.dirname(htmlPath), { recursive: true });
+  fs.writeFileSync(htmlPath, viewerHtml, "utf-8");
+  removeFallbackImages(buildPaths, config, fallbackPages);
+
+  const pageCached = page.cached && documentCached && cached;
+  const warnings = [
+    ...(compiled.warnings || []),
+    ...(navigation.warnings || []),
+  ];
+  if (!documentCached || !cached) {
+    for (const warning of warnings) {
+      console.warn(`⚠ ${route}: ${formatDiagnostic(warning, config.src)}`);
+    }
+  }
+
+  const manifestEntry = {
+    route,
+    source: normalizePath(path.relative(config.src, page.sourcePath)),
+    layouts: page.layouts,
+    css: page.css,
+    artifacts: {
+      html: describeArtifact(config.output, buildPaths.htmlPath),
+      pdf: describeArtifact(config.output, buildPaths.pdfPath),
+      sidebar: navigation.hasSidebar
+        ? describeArtifact(
+            config.output,
+            path.join(buildPaths.dir, "sidebar.pdf")
+          )
+        : null,
+      toc: navigation.hasToc
+        ? describeArtifact(config.output, path.join(buildPaths.dir, "toc.pdf"))
+        : null,
+      images: fallbackPages
+        .map((image) => describeArtifact(config.output, image.path))
+        .filter(Boolean),
+      stylesheets: styles.files.map((file) =>
+        describeArtifact(config.output, file)
+      ),
+    },
+    compileTime:
+      page.compileTime +
+      (documentCached ? 0 : compiled.compileTime) +
+      (cached ? 0 : navigation.compileTime),
+    cached: pageCached,
+    warnings,
+  };
+
+  return {
+    pathArray: page.pathArray,
+    route,
+    title: page.title,
+    metadata,
+    searchEntries: compiled.searchEntries,
+    stylesheets: styles.files,
+    sourcePath: page.sourcePath,
+    lastmod: page.lastmod,
+    cached: pageCached,
+    manifestEntry,
+  };
+}
+
+/**
+ * Lists the source files of a findLayout() or findCss() result
+ * @param {Object|Array|null} result Single file, array of files or null
+ * @returns {string[]} File paths relative to src (e.g., 'pages/blog/index.typ')
+ */
+function listSourcePaths(result) {
+  const files = Array.isArray(result) ? result : result ? [result] : [];
+  return files.map((file) => getSourcePath(file.pathArray));
+}
+
+/**
+ * Inlines the local @import rules of findCss() or findPageCss() results, and
+ * points their relative url()s at the copies of src/assets files in the build
+ * @param {Object|Array|null} cssResult CSS file(s) { pathArray, source }
+ * @param {Object} config Build configuration
+ * @param {Map<string, Object>} resolved Resolved { source, imports } by file, shared by the pages of a build
+ * @returns {Object|Array|null} The same result with imports resolved, and the paths of the files they imported as `imports`
+ */
+function resolveCssFileImports(cssResult, config, resolved = new Map()) {
+  const assetsDir = path.join(config.src, ASSETS_DIR_NAME);
+  const resolveUrl = (filePath) => {
+    const relativePath = path.relative(assetsDir, filePath);
+    if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      return null;
+    }
+    return routeToUrl(
+      `/${ASSETS_DIR_NAME}/${normalizePath(relativePath)}`,
+      config.base
+    );
+  };
+
+  const resolve = (css) => {
+    const file = getSourcePath(css.pathArray);
+    if (!resolved.has(file)) {
+      const imports = new Set();
+      const source = resolveCssImports(
+        css.source,
+        path.join(config.src, file),
+        { resolveUrl, imports }
+      );
+      resolved.set(file, { source, imports });
+    }
+    return { ...css, ...resolved.get(file) };
+  };
+
+  if (Array.isArray(cssResult)) return cssResult.map(resolve);
+  return cssResult ? resolve(cssResult) : null;
+}
+
+/**
+ * Gets a page's styles for its viewer: inlined in a <style> block, or with
+ * `css.mode: "external"` written as content-hashed files that pages with
+ * the same styles share
+ * @param {string[]} stylesheets Directory and page CSS from preparePage()
+ * @param {Object} config Build configuration
+ * @returns {Object} { inline: CSS for the <style> block, files: stylesheet paths relative to the output directory }
+ */
+function writePageStylesheets(stylesheets, config) {
+  const isExternal = config.css?.mode === "external";
+  const minify = config.css?.minify ?? isExternal;
+  const parts = stylesheets.filter((css) => css.trim() !== "");
+
+  if (!isExternal) {
+    return { inline: bundleCss(parts.join("\n\n"), { minify }), files: [] };
+  }
+
+  return {
+    inline: "",
+    files: parts.map((css) =>
+      writeStylesheet(bundleCss(css, { minify }), config.output)
+    ),
+  };
+}
+
+/**
+ * Removes the output files of a page that is not published
+ * @param {Object} page Prepared page from preparePage()
+ * @param {Object} config Build configuration
+ */
+function removePageOutput(page, config) {
+  const files = [
+    page.buildPaths.htmlPath,
+    page.buildPaths.pdfPath,
+    path.join(page.buildPaths.dir, "sidebar.pdf"),
+    path.join(page.buildPaths.dir, "toc.pdf"),
+  ];
+
+  for (const file of files) {
+    fs.rmSync(path.join(config.output, file), { force: true });
+  }
+  removeFallbackImages(page.buildPaths, config);
+
+  const dir = path.join(config.output, page.buildPaths.dir);
+  if (
+    dir !== config.output &&
+    fs.existsSync(dir) &&
+    fs.readdirSync(dir).length === 0
+  ) {
+    fs.rmdirSync(dir);
+  }
+}
+
+/**
+ * Checks if a page is built, based on its draft/publishDate metadata
+ * @param {Object} metadata Page metadata
+ * @param {Object} config Build configuration
+ * @returns {boolean} True if the page is built
+ */
+function isPageVisible(metadata, config) {
+  return config.drafts || isPagePublished(metadata);
+}
+
+/**
+ * Reads a page's metadata by querying its composed document
+ * @param {Object} options Query options
+ * @param {string} options.route Page route
+ * @param {string} options.document Composed Typst document
+ * @param {Array} options.sourceMap Source map of the document from composeDocumentWithSourceMap()
+ * @param {string[]} options.pagePathArray Path array to the page file
+ * @param {Object} options.config Build configuration
+ * @param {Object} options.queue Work queue that runs the Typst processes
+ * @param {Object} options.staging Staging state from the build context
+ * @returns {Promise<Object>} { metadata, compileTime }
+ */
+async function queryPageMetadata({
+  route,
+  document,
+  sourceMap = [],
+  pagePathArray,
+  config,
+  queue,
+  staging,
+}) {
+  const entry = getPageEntry(pagePathArray, "page", staging, config);
+  const timing = { compileTime: 0 };
 
   try {
-    const tempDir = setupTempDirectory(tempDirBase, pagePathArray, config);
+    const metadata = await runTimed(queue, timing, () =>
+      readPageMetadata({
+        document,
+        workDir: entry.workDir,
+        rootDir: entry.rootDir,
+        inputName: entry.inputName,
+        inputs: getPageInputs(route, pagePathArray, config),
+        ...typstFontOptions(config),
+        name: getSourcePath(pagePathArray),
+      })
+    );
+    return { metadata, compileTime: timing.compileTime };
+  } catch (error) {
+    if (!error.diagnostics) throw error;
+
+    throw createCompileError(
+      { error: error.message },
+      resolveDiagnostics(error.diagnostics, { sourceMap, entry, config }),
+      config
+    );
+  }
+}
 
-    const outputPath = path.join(config.output, buildPaths.pdfPath);
-    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+/**
+ * Compiles a page's document with Typst
+ * @param {Object} options Page compilation options
+ * @param {string} options.route Page route
+ * @param {Object} options.buildPaths Build paths from getPageBuildPaths()
+ * @param {string} options.document Composed Typst document
+ * @param {Array} options.sourceMap Source map of the document from composeDocumentWithSourceMap()
+ * @param {string[]} options.pagePathArray Path array to the page file
+ * @param {string} options.title Page title
+ * @param {Object} options.metadata Page metadata from queryPageMetadata()
+ * @param {Object} options.config Build configuration
+ * @param {Object} options.queue Work queue that runs the Typst processes
+ * @param {Object} options.staging Staging state from the build context
+ * @returns {Promise<Object>} { searchEntries, content, html, fallbackPages, artifacts, compileTime, warnings }
+ */
+async function compileDocument({
+  route,
+  buildPaths,
+  document,
+  sourceMap = [],
+  pagePathArray,
+  title,
+  metadata,
+  config,
+  queue,
+  staging,
+}) {
+  const entry = getPageEntry(pagePathArray, "page", staging, config);
+  const inputs = getPageInputs(route, pagePathArray, config);
+  const timing = { compileTime: 0 };
+
+  const hasSearch =
+    config.search?.enabled !== false && !isErrorPage(pagePathArray);
+
+  const outputPath = path.join(config.output, buildPaths.pdfPath);
+
+  // HTML pages have no PDF: the page shell shows the export and search
+  // reads its text
+  if (metadata.output === "html") {
+    fs.rmSync(outputPath, { force: true });
+
+    const { html, diagnostics } = await exportHtml({
+      document,
+      sourceMap,
+      entry,
+      inputs,
+      config,
+      queue,
+      timing,
+    });
+
+    return {
+      searchEntries: hasSearch
+        ? buildHtmlSearchEntries(route, title, html)
+        : [],
+      content: "",
+      html,
+      fallbackPages: [],
+      artifacts: [],
+      compileTime: timing.compileTime,
+      warnings: diagnostics.filter((d) => d.severity === "warning"),
+    };
+  }
+
+  fs.mkdirSync(path.dirname(outputPath), { recursive: true });
 
-    const result = await compileTypst({
+  const result = await runTimed(queue, timing, () =>
+    compileTypst({
       source: document,
       outputPath: outputPath,
-      workDir: tempDir,
-      rootDir: tempDirBase,
+      workDir: entry.workDir,
+      rootDir: entry.rootDir,
+      inputName: entry.inputName,
+      inputs,
+      ...typstFontOptions(config),
+    })
+  );
+
+  const diagnostics = resolveDiagnostics(result.diagnostics, {
+    sourceMap,
+    entry,
+    config,
+  });
+
+  if (!result.success) {
+    throw createCompileError(result, diagnostics, config);
+  }
+
+  const hasFallback = config.fallback?.enabled === true;
+
+  let pdf = null;
+  try {
+    pdf = await readPdf(outputPath);
+  } catch (error) {
+    console.warn(`Could not read the PDF of ${route}: ${error.message}`);
+  }
+
+  const content = pdf ? generatePageContent(title, pdf) : "";
+
+  let searchEntries = [];
+  if (hasSearch && pdf) {
+    searchEntries = buildSearchEntries(route, title, pdf);
+  }
+
+  let fallbackPages = [];
+  if (hasFallback && pdf) {
+    fallbackPages = await exportFallbackImages({
+      pdf,
+      document,
+      entry,
+      inputs,
+      buildPaths,
+      config,
+      queue,
+      timing,
     });
+  }
 
-    if (!result.success) {
-      throw new Error(result.error);
-    }
+  return {
+    searchEntries,
+    content,
+    html: null,
+    fallbackPages,
+    artifacts: [
+      normalizePath(buildPaths.pdfPath),
+      ...fallbackPages.map((page) => page.path),
+    ],
+    compileTime: timing.compileTime,
+    warnings: diagnostics.filter((d) => d.severity === "warning"),
+  };
+}
 
-    const sidebarEnabled =
-      config.sidebar?.enabled !== false && pageConfig.sidebar;
-    let hasSidebar = false;
+/**
+ * Creates the error for a failed compile, with its diagnostics as code frames
+ * @param {Object} result Result from compileTypst()
+ * @param {Array} diagnostics Diagnostics from resolveDiagnostics()
+ * @param {Object} config Build configuration
+ * @returns {Error} Error with a `diagnostics` property
+ */
+function createCompileError(result, diagnostics, config) {
+  const errors = diagnostics.filter((d) => d.severity === "error");
+  const error = new Error(
+    errors.length > 0
+      ? errors.map((d) => formatDiagnostic(d, config.src)).join("\n\n")
+      : result.error
+  );
+  error.diagnostics = errors;
+  return error;
+}
 
-    if (sidebarEnabled) {
-      const sidebarStructure = generateSidebarStructure(
-        pagesTree,
-        route,
-        config
-      );
-      const sidebarTypst = generateSidebarTypst(
-        sidebarStructure,
-        config.theme || {}
-      );
-      const sidebarPath = path.join(
+/**
+ * Compiles a page's document with Typst's experimental HTML export, for
+ * pages with `output: "html"`
+ * @param {Object} options Export options
+ * @param {string} options.document Composed Typst document
+ * @param {Array} options.sourceMap Source map of the document
+ * @param {Object} options.entry Entry file from getPageEntry()
+ * @param {Object} options.inputs Values passed as sys.inputs
+ * @param {Object} options.config Build configuration
+ * @param {Object} options.queue Work queue that runs the Typst processes
+ * @param {Object} options.timing Timing accumulator { compileTime }
+ * @returns {Promise<Object>} { html: page body HTML, diagnostics }
+ */
+async function exportHtml({
+  document,
+  sourceMap,
+  entry,
+  inputs,
+  config,
+  queue,
+  timing,
+}) {
+  const outputPath = entry.inputPath.replace(/\.typ$/, ".html");
+
+  const result = await runTimed(queue, timing, () =>
+    compileTypst({
+      source: document,
+      outputPath,
+      workDir: entry.workDir,
+      rootDir: entry.rootDir,
+      inputName: entry.inputName,
+      inputs,
+      ...typstFontOptions(config),
+      format: "html",
+      features: ["html"],
+    })
+  );
+
+  const diagnostics = resolveDiagnostics(result.diagnostics, {
+    sourceMap,
+    entry,
+    config,
+  });
+
+  if (!result.success) {
+    throw createCompileError(result, diagnostics, config);
+  }
+
+  const html = fs.readFileSync(outputPath, "utf-8");
+  fs.rmSync(outputPath, { force: true });
+
+  return { html: prepareTypstHtml(html), diagnostics };
+}
+
+/**
+ * Exports a page's document as one PNG or SVG image per page, for the
+ * viewer's no-JavaScript fallback
+ * @param {Object} options Export options
+ * @param {Object} options.pdf The page's PDF from readPdf(), for page sizes and links
+ * @param {string} options.document Composed Typst document
+ * @param {Object} options.entry Entry file from getPageEntry()
+ * @param {Object} options.inputs Values passed as sys.inputs
+ * @param {Object} options.buildPaths Build paths from getPageBuildPaths()
+ * @param {Object} options.config Build configuration
+ * @param {Object} options.queue Work queue that runs the Typst processes
+ * @param {Object} options.timing Timing accumulator { compileTime }
+ * @returns {Promise<Array>} Fallback pages [{ path, width, height, links: [{ href, newTab, coords }] }]
+ */
+async function exportFallbackImages({
+  pdf,
+  document,
+  entry,
+  inputs,
+  buildPaths,
+  config,
+  queue,
+  timing,
+}) {
+  const format = config.fallback.format === "png" ? "png" : "svg";
+
+  const result = await runTimed(queue, timing, () =>
+    compileTypst({
+      source: document,
+      outputPath: path.join(
         config.output,
         buildPaths.dir,
-        "sidebar.pdf"
-      );
+        `${FALLBACK_IMAGE_PREFIX}{p}.${format}`
+      ),
+      workDir: entry.workDir,
+      rootDir: entry.rootDir,
+      inputName: entry.inputName,
+      inputs,
+      ...typstFontOptions(config),
+      format,
+      ppi: format === "png" ? config.fallback.ppi || 144 : null,
+    })
+  );
+
+  if (!result.success) {
+    console.warn(`Could not export fallback images: ${result.error}`);
+    return [];
+  }
 
-      const sidebarResult = await compileTypst({
-        source: sidebarTypst,
-        outputPath: sidebarPath,
-        workDir: tempDir,
-        rootDir: tempDirBase,
+  return pdf.pages.map((page, index) => {
+    const links = [];
+    for (const link of page.links) {
+      if (link.uri.startsWith("tssg:copy:")) continue;
+
+      const coords = [
+        link.left,
+        page.height - link.top,
+        link.right,
+        page.height - link.bottom,
+      ].map((value) => Math.round(value * FALLBACK_DISPLAY_SCALE));
+
+      const sameTab = link.uri.startsWith("tssg:sametab:");
+      links.push({
+        href: sameTab ? link.uri.slice("tssg:sametab:".length) : link.uri,
+        newTab: !sameTab,
+        coords,
       });
+    }
+
+    return {
+      path: normalizePath(
+        path.join(
+          buildPaths.dir,
+          `${FALLBACK_IMAGE_PREFIX}${index + 1}.${format}`
+        )
+      ),
+      width: Math.round(page.width * FALLBACK_DISPLAY_SCALE),
+      height: Math.round(page.height * FALLBACK_DISPLAY_SCALE),
+      links,
+    };
+  });
+}
 
-      hasSidebar = sidebarResult.success && sidebarStructure.length > 0;
+/**
+ * Removes a page's fallback images that are no longer part of it
+ * @param {Object} buildPaths Build paths from getPageBuildPaths()
+ * @param {Object} config Build configuration
+ * @param {Array} fallbackPages Current page images to keep (default: none)
+ */
+function removeFallbackImages(buildPaths, config, fallbackPages = []) {
+  const dir = path.join(config.output, buildPaths.dir);
+  if (!fs.existsSync(dir)) return;
+
+  const keep = new Set(fallbackPages.map((page) => page.path.split("/").pop()));
+  for (const file of fs.readdirSync(dir)) {
+    if (FALLBACK_IMAGE_REGEX.test(file) && !keep.has(file)) {
+      fs.rmSync(path.join(dir, file), { force: true });
+    }
+  }
+}
+
+/**
+ * Compiles a page's sidebar and TOC documents with Typst
+ * @param {Object} options Navigation compilation options
+ * @param {string} options.route Page route
+ * @param {string[]} options.pagePathArray Path array to the page file
+ * @param {Object} options.buildPaths Build paths from getPageBuildPaths()
+ * @param {string|null} options.sidebarTypst Sidebar Typst source (null: no sidebar)
+ * @param {boolean} options.hasSidebarItems Whether the sidebar has any entries
+ * @param {string|null} options.tocTypst TOC Typst source (null: no TOC)
+ * @param {boolean} options.hasTocItems Whether the TOC has any entries
+ * @param {Object} options.config Build configuration
+ * @param {Object} options.queue Work queue that runs the Typst processes
+ * @param {Object} options.staging Staging state from the build context
+ * @returns {Promise<Object>} { hasSidebar, hasToc, artifacts, compileTime, warnings }
+ */
+async function compileNavigation({
+  route,
+  pagePathArray,
+  buildPaths,
+  sidebarTypst,
+  hasSidebarItems,
+  tocTypst,
+  hasTocItems,
+  config,
+  queue,
+  staging,
+}) {
+  const artifacts = [];
+  const warnings = [];
+  const timing = { compileTime: 0 };
+  const inputs = getPageInputs(route, pagePathArray, config);
+
+  const compileNavigationPdf = async (kind, source) => {
+    const entry = getPageEntry(pagePathArray, kind, staging, config);
+    const pdfPath = path.join(buildPaths.dir, `${kind}.pdf`);
+
+    const result = await runTimed(queue, timing, () =>
+      compileTypst({
+        source,
+        outputPath: path.join(config.output, pdfPath),
+        workDir: entry.workDir,
+        rootDir: entry.rootDir,
+        inputName: entry.inputName,
+        inputs,
+        ...typstFontOptions(config),
+      })
+    );
+
+    const diagnostics = resolveDiagnostics(result.diagnostics, {
+      sourceMap: [],
+      entry,
+      config,
+    });
+    if (!result.success) throw createCompileError(result, diagnostics, config);
+
+    artifacts.push(normalizePath(pdfPath));
+    warnings.push(...diagnostics.filter((d) => d.severity === "warning"));
+  };
+
+  let hasSidebar = false;
+  if (sidebarTypst !== null) {
+    await compileNavigationPdf("sidebar", sidebarTypst);
+    hasSidebar = hasSidebarItems;
+  }
+
+  let hasToc = false;
+  if (tocTypst !== null) {
+    await compileNavigationPdf("toc", tocTypst);
+    hasToc = hasTocItems;
+  }
+
+  return {
+    hasSidebar,
+    hasToc,
+    artifacts,
+    compileTime: timing.compileTime,
+    warnings,
+  };
+}
+
+/**
+ * Maps diagnostics from a compile in the staging directory back to the files
+ * under src. Positions in the page's entry file go through its source map;
+ * other files map to the src files getStagingDirectory() copied them from.
+ * @param {Array} diagnostics Diagnostics from compileTypst()
+ * @param {Object} options Compile locations
+ * @param {Array} options.sourceMap Source map of the entry file
+ * @param {Object} options.entry Entry file from getPageEntry()
+ * @param {Object} options.config Build configuration
+ * @returns {Array} Diagnostics [{ severity, message, file, line, column, length, hints }] with file relative to src (null for generated code)
+ */
+function resolveDiagnostics(diagnostics, { sourceMap, entry, config }) {
+  const { rootDir } = entry;
+
+  return diagnostics.map(({ text, ...diagnostic }) => {
+    if (!diagnostic.file) return diagnostic;
+
+    const filePath =
+      path.isAbsolute(diagnostic.file) &&
+      (diagnostic.file.startsWith(rootDir + path.sep) ||
+        fs.existsSync(diagnostic.file))
+        ? diagnostic.file
+        : path.join(rootDir, diagnostic.file);
+
+    if (filePath === entry.inputPath) {
+      const position = mapPosition(
+        sourceMap,
+        diagnostic.line,
+        diagnostic.column
+      );
+      return position
+        ? { ...diagnostic, ...position }
+        : { ...diagnostic, file: null, line: null, column: null };
     }
 
-    const tocEnabled = config.toc?.enabled !== false && pageConfig.toc;
-    let hasToc = false;
+    const relativePath = path.relative(rootDir, filePath);
+    if (relativePath.startsWith("..") || path.isAbsolute(relativePath)) {
+      return diagnostic;
+    }
 
-    if (tocEnabled) {
-      const tocMinLevel = config.toc?.minLevel || pageConfig.tocMinLevel;
-      const tocMaxLevel = config.toc?.maxLevel || pageConfig.tocMaxLevel;
+    const [firstSegment] = relativePath.split(path.sep);
+    const isSrcDir =
+      firstSegment !== PAGES_DIR_NAME &&
+      fs.existsSync(path.join(config.src, firstSegment)) &&
+      fs.statSync(path.join(config.src, firstSegment)).isDirectory();
 
-      const headings = extractHeadings(document, tocMinLevel, tocMaxLevel);
-      const tocTypst = generateTocTypst(headings, config.theme || {});
-      const tocPath = path.join(config.output, buildPaths.dir, "toc.pdf");
+    return {
+      ...diagnostic,
+      file: normalizePath(
+        isSrcDir ? relativePath : path.join(PAGES_DIR_NAME, relativePath)
+      ),
+    };
+  });
+}
 
-      const tocResult = await compileTypst({
-        source: tocTypst,
-        outputPath: tocPath,
-        workDir: tempDir,
-        rootDir: tempDirBase,
-      });
+/**
+ * Tags the diagnostics of a failed page with its route
+ * @param {Array|undefined} diagnostics Diagnostics from a compile error
+ * @param {string} route Page route
+ * @returns {Array} Diagnostics [{ route, ... }]
+ */
+function withRoute(diagnostics = [], route) {
+  return diagnostics.map((diagnostic) => ({ route, ...diagnostic }));
+}
 
-      hasToc = tocResult.success && headings.length > 0;
+/**
+ * Runs a task on the work queue, adding the time it ran (not the time it
+ * waited in the queue) to timing.compileTime
+ * @param {Object} queue Work queue
+ * @param {Object} timing Timing accumulator { compileTime }
+ * @param {Function} task Function returning a promise
+ * @returns {Promise<any>} The task's result
+ */
+async function runTimed(queue, timing, task) {
+  return queue.run(async () => {
+    const start = Date.now();
+    try {
+      return await task();
+    } finally {
+      timing.compileTime += Date.now() - start;
     }
+  });
+}
 
-    const viewerHtml = generateViewer(
-      route,
-      title,
-      config.pdfQuality,
-      customCss,
-      hasSidebar,
-      hasToc,
-      config.base
-    );
-    const htmlPath = path.join(config.output, buildPaths.htmlPath);
-    fs.writeFileSync(htmlPath, viewerHtml, "utf-8");
-  } finally {
-    cleanupTempDir(tempDirBase);
+/**
+ * Reads the contents of all files a page transitively depends on
+ * @param {string[]} pagePathArray Path array to the page file
+ * @param {Map<string, Set<string>>} depGraph Complete dependency graph
+ * @param {Object} config Build configuration
+ * @param {string|null} layoutName Named layout the page selects, a dependency even before its file exists
+ * @returns {Array} Dependencies [{ path, content }] with paths relative to src
+ */
+function readPageDependencies(
+  pagePathArray,
+  depGraph,
+  config,
+  layoutName = null
+) {
+  if (!depGraph) return [];
+
+  const start = PAGES_DIR_NAME + "/" + pagePathArray.join("/");
+  const visited = new Set([start]);
+  const toVisit = [start];
+
+  if (layoutName !== null) {
+    visited.add(getNamedLayoutPath(layoutName));
+    toVisit.push(getNamedLayoutPath(layoutName));
+  }
+
+  while (toVisit.length > 0) {
+    const current = toVisit.pop();
+    for (const dep of depGraph.get(current) || []) {
+      if (visited.has(dep)) continue;
+      visited.add(dep);
+      toVisit.push(dep);
+    }
   }
+
+  visited.delete(start);
+
+  return [...visited].map((dep) => {
+    const fullPath = path.join(config.src, dep);
+    return {
+      path: dep,
+      content: fs.existsSync(fullPath) ? fs.readFileSync(fullPath) : null,
+    };
+  });
 }
 
 function countFiles(tree) {
@@ -620,11 +2391,20 @@ function countFiles(tree) {
   return count;
 }
 
+/**
+ * Checks if an inheritance mode uses every ancestor layout and CSS file
+ * @param {string} inheritance Inheritance mode
+ * @returns {boolean} True for 'merge' and 'nest'
+ */
+function usesAllAncestors(inheritance) {
+  return inheritance === "merge" || inheritance === "nest";
+}
+
 /**
  * Finds the layout file for a page
  * @param {string[]} pagePathArray Path array to page file
  * @param {Object} pagesTree Full pages tree object
- * @returns {Object|null} { pathArray, source } or null
+ * @returns {Object|Object[]|null} { pathArray, source } or null; in merge and nest modes, an array from the nearest layout up
  */
 export function findLayout(
   pagePathArray,
@@ -632,12 +2412,14 @@ export function findLayout(
   layoutInheritance = "fallback",
   maxMergeDepth = 5
 ) {
+  const allAncestors = usesAllAncestors(layoutInheritance);
+
   if (!Array.isArray(pagePathArray) || pagePathArray.length === 0) {
-    return layoutInheritance === "merge" ? [] : null;
+    return allAncestors ? [] : null;
   }
 
   if (!pagesTree || typeof pagesTree !== "object") {
-    return layoutInheritance === "merge" ? [] : null;
+    return allAncestors ? [] : null;
   }
 
   if (layoutInheritance === "none") {
@@ -664,7 +2446,7 @@ export function findLayout(
   let depth = 0;
 
   while (true) {
-    if (layoutInheritance === "merge" && depth >= maxMergeDepth) {
+    if (allAncestors && depth >= maxMergeDepth) {
       break;
     }
 
@@ -692,7 +2474,7 @@ export function findLayout(
 
         if (layoutInheritance === "fallback") {
           return layout;
-        } else if (layoutInheritance === "merge") {
+        } else if (allAncestors) {
           layouts.push(layout);
         }
       }
@@ -706,13 +2488,123 @@ export function findLayout(
     depth++;
   }
 
-  if (layoutInheritance === "merge") {
+  if (allAncestors) {
     return layouts;
   }
 
   return null;
 }
 
+/**
+ * Gets the named layout a page selects with the `layout` metadata key
+ * @param {Object|undefined} metadata Page metadata from parsePageMetadata()
+ * @returns {string|null} Layout name (e.g., 'blog/post') or null
+ */
+function getLayoutName(metadata) {
+  const name = metadata?.layout;
+  return typeof name === "string" && name !== "" ? name : null;
+}
+
+/**
+ * Gets the file of a named layout
+ * @param {string} name Layout name
+ * @returns {string} Path relative to src (e.g., 'layouts/blog/post.typ')
+ */
+function getNamedLayoutPath(name) {
+  return [LAYOUTS_DIR_NAME, name.replace(/\.typ$/, "") + ".typ"].join("/");
+}
+
+/**
+ * Lists the named layouts in src/layouts
+ * @param {Object} config Build configuration
+ * @returns {string[]} Layout names (e.g., ['landing', 'blog/post'])
+ */
+function listNamedLayouts(config) {
+  const layoutsDir = path.join(config.src, LAYOUTS_DIR_NAME);
+  if (!fs.existsSync(layoutsDir)) return [];
+
+  const names = [];
+  walkTree(
+    readTree(layoutsDir, { extensions: [".typ"] }),
+    (pathArray, content, isLeaf) => {
+      if (isLeaf && isLayoutFile(content)) {
+        names.push(pathArray.join("/").replace(/\.typ$/, ""));
+      }
+    }
+  );
+
+  return names.sort();
+}
+
+/**
+ * Finds a named layout in src/layouts
+ * @param {string} name Layout name, the file path in src/layouts without `.typ` (e.g., 'blog/post')
+ * @param {Object} config Build configuration
+ * @returns {Object} { pathArray, source, level } with pathArray relative to pages/, like findLayout()
+ * @throws {Error} If the name does not resolve to a layout file
+ */
+function findNamedLayout(name, config) {
+  const segments = name.replace(/\.typ$/, "").split("/");
+  segments[segments.length - 1] += ".typ";
+  const file = [LAYOUTS_DIR_NAME, ...segments].join("/");
+  const filePath = path.join(config.src, LAYOUTS_DIR_NAME, ...segments);
+
+  const isValidName = segments.every(
+    (segment) => segment && segment !== "." && segment !== ".."
+  );
+  if (!isValidName || !fs.existsSync(filePath)) {
+    const available = listNamedLayouts(config);
+    throw new Error(
+      `Layout "${name}" not found: expected src/${file}. ` +
+        (available.length > 0
+          ? `Available layouts: ${available.join(", ")}`
+          : `There are no layouts in src/${LAYOUTS_DIR_NAME}/`)
+    );
+  }
+
+  const source = fs.readFileSync(filePath, "utf-8");
+  if (!isLayoutFile(source)) {
+    throw new Error(
+      `Layout "${name}" (src/${file}) does not define #let layout(body) = ...`
+    );
+  }
+
+  return { pathArray: ["..", LAYOUTS_DIR_NAME, ...segments], source, level: 0 };
+}
+
+/**
+ * Resolves the layout(s) of a page: the named layout it selects, which takes
+ * precedence over directory inheritance, or the result of findLayout()
+ * @param {string[]} pagePathArray Path array to the page file
+ * @param {string|null} name Layout name from getLayoutName()
+ * @param {Object} pagesTree Full pages tree object
+ * @param {Object} config Build configuration
+ * @returns {Object|Object[]|null} Layout result, see findLayout()
+ * @throws {Error} If the page selects a layout name that does not resolve
+ */
+function resolvePageLayout(pagePathArray, name, pagesTree, config) {
+  if (name !== null) {
+    const layout = findNamedLayout(name, config);
+    return usesAllAncestors(config.layoutInheritance) ? [layout] : layout;
+  }
+
+  return findLayout(
+    pagePathArray,
+    pagesTree,
+    config.layoutInheritance,
+    config.maxMergeDepth
+  );
+}
+
+/**
+ * Gets the path of a layout or CSS file relative to src
+ * @param {string[]} pathArray Path array relative to pages/ (named layouts start with '..')
+ * @returns {string} Path relative to src (e.g., 'pages/blog/index.typ', 'layouts/landing.typ')
+ */
+function getSourcePath(pathArray) {
+  return path.posix.join(PAGES_DIR_NAME, ...pathArray);
+}
+
 /**
  * Rewrites import paths in a source file to be relative to a new location
  * @param {string} source Source code containing imports
@@ -724,26 +2616,36 @@ function rewriteImports(source, fromPathArray, toPathArray) {
   const fromDir = fromPathArray.slice(0, -1);
   const toDir = toPathArray.slice(0, -1);
 
-  return source.replace(/#import\s+"([^"]+)"/g, (match, importPath) => {
-    if (!importPath.startsWith(".")) return match;
+  return source.replace(
+    /#import(\s+)"([^"]+)"/g,
+    (match, space, importPath) => {
+      if (importPath.startsWith("@") || importPath.startsWith("/")) {
+        return match;
+      }
 
-    const parts = importPath.split("/");
-    const upCount = parts.findIndex((part) => part !== "..");
-    const pathSegments = upCount === -1 ? [] : parts.slice(upCount);
+      const parts = importPath.split("/");
+      const upCount = parts.findIndex((part) => part !== "..");
+      const pathSegments = upCount === -1 ? [] : parts.slice(upCount);
 
-    const absolutePath = [PAGES_DIR_NAME, ...fromDir];
-    for (let i = 0; i < (upCount === -1 ? parts.length : upCount); i++) {
-      absolutePath.pop();
-    }
-    absolutePath.push(...pathSegments);
+      const absolutePath = path.posix
+        .join(PAGES_DIR_NAME, ...fromDir)
+        .split("/")
+        .filter((segment) => segment !== ".");
+      for (let i = 0; i < (upCount === -1 ? parts.length : upCount); i++) {
+        absolutePath.pop();
+      }
+      absolutePath.push(...pathSegments);
 
-    const tempDirPath =
-      absolutePath[0] === PAGES_DIR_NAME ? absolutePath.slice(1) : absolutePath;
+      const tempDirPath =
+        absolutePath[0] === PAGES_DIR_NAME
+          ? absolutePath.slice(1)
+          : absolutePath;
 
-    const newPath = "../".repeat(toDir.length) + tempDirPath.join("/");
+      const newPath = "../".repeat(toDir.length) + tempDirPath.join("/");
 
-    return `#import "${newPath}"`;
-  });
+      return `#import${space}"${newPath}"`;
+    }
+  );
 }
 
 /**
@@ -773,13 +2675,14 @@ function extractSetStatements(layoutSource) {
 }
 
 /**
- * Checks if a Typst source file defines a layout function
+ * Finds the layout function definition of a Typst source file, skipping
+ * comments and code blocks
  * @param {string} typstSource Typst source code
- * @returns {boolean} True if contains #let layout(body) = { ... }
+ * @returns {Array|null} Match of LAYOUT_SIGNATURE_REGEX (group 1 is the page parameter, if any) or null
  */
-export function isLayoutFile(typstSource) {
+function findLayoutSignature(typstSource) {
   if (typeof typstSource !== "string") {
-    return false;
+    return null;
   }
 
   const lines = typstSource.split("\n");
@@ -800,12 +2703,31 @@ export function isLayoutFile(typstSource) {
       continue;
     }
 
-    if (/#let\s+layout\s*\(\s*body\s*\)\s*=/.test(line)) {
-      return true;
+    const match = line.match(LAYOUT_SIGNATURE_REGEX);
+    if (match) {
+      return match;
     }
   }
 
-  return false;
+  return null;
+}
+
+/**
+ * Checks if a Typst source file defines a layout function
+ * @param {string} typstSource Typst source code
+ * @returns {boolean} True if contains #let layout(body) = { ... } or #let layout(body, page) = { ... }
+ */
+export function isLayoutFile(typstSource) {
+  return findLayoutSignature(typstSource) !== null;
+}
+
+/**
+ * Checks if a layout takes the page dictionary as its second parameter
+ * @param {Object} layout Layout object { source, pathArray }
+ * @returns {boolean} True for #let layout(body, page) = { ... }
+ */
+function takesPageArgument(layout) {
+  return Boolean(findLayoutSignature(layout.source)?.[1]);
 }
 
 /**
@@ -814,7 +2736,7 @@ export function isLayoutFile(typstSource) {
  * @param {Object} pagesTree Full pages tree object
  * @param {string} cssInheritance Inheritance mode
  * @param {number} maxMergeDepth Maximum depth for merge mode
- * @returns {Array|null} Array of CSS objects in merge mode, single object in fallback, null in none
+ * @returns {Array|null} Array of CSS objects in merge and nest modes, single object in fallback and none, or null
  */
 export function findCss(
   pagePathArray,
@@ -823,11 +2745,11 @@ export function findCss(
   maxMergeDepth = 5
 ) {
   if (!Array.isArray(pagePathArray) || pagePathArray.length === 0) {
-    return cssInheritance === "merge" ? [] : null;
+    return usesAllAncestors(cssInheritance) ? [] : null;
   }
 
   if (!pagesTree || typeof pagesTree !== "object") {
-    return cssInheritance === "merge" ? [] : null;
+    return usesAllAncestors(cssInheritance) ? [] : null;
   }
 
   if (cssInheritance === "none") {
@@ -879,7 +2801,7 @@ export function findCss(
     return null;
   }
 
-  if (cssInheritance === "merge") {
+  if (usesAllAncestors(cssInheritance)) {
     const directories = pagePathArray.slice(0, -1);
     const cssFiles = [];
 
@@ -910,7 +2832,41 @@ export function findCss(
     return cssFiles;
   }
 
-  return cssInheritance === "merge" ? [] : null;
+  return usesAllAncestors(cssInheritance) ? [] : null;
+}
+
+/**
+ * Finds the stylesheet of a single page: `post.css` next to `post.typ`.
+ * An `index.typ` page has none, since `index.css` styles its directory.
+ * @param {string[]} pagePathArray Path array to page file
+ * @param {Object} pagesTree Full pages tree object
+ * @returns {Object|null} CSS object { pathArray, source, level } or null
+ */
+export function findPageCss(pagePathArray, pagesTree) {
+  if (!Array.isArray(pagePathArray) || pagePathArray.length === 0) {
+    return null;
+  }
+
+  const fileName = pagePathArray[pagePathArray.length - 1];
+  if (fileName === "index.typ" || !fileName.endsWith(".typ")) return null;
+
+  const cssPath = [
+    ...pagePathArray.slice(0, -1),
+    fileName.replace(/\.typ$/, ".css"),
+  ];
+
+  let node = pagesTree;
+  for (const segment of cssPath) {
+    if (node && typeof node === "object" && segment in node) {
+      node = node[segment];
+    } else {
+      return null;
+    }
+  }
+
+  return typeof node === "string"
+    ? { pathArray: cssPath, source: node, level: 0 }
+    : null;
 }
 
 /**
@@ -924,7 +2880,7 @@ export function composeCss(cssResult, cssInheritance = "fallback") {
     return "";
   }
 
-  if (cssInheritance === "merge" && Array.isArray(cssResult)) {
+  if (usesAllAncestors(cssInheritance) && Array.isArray(cssResult)) {
     if (cssResult.length === 0) {
       return "";
     }
@@ -941,6 +2897,37 @@ export function composeCss(cssResult, cssInheritance = "fallback") {
   return "";
 }
 
+/**
+ * Converts a JSON-like value to a Typst literal: objects become dictionaries,
+ * arrays become arrays and null becomes `none`
+ * @param {*} value Value to convert
+ * @returns {string} Typst source
+ */
+function toTypstValue(value) {
+  if (value === null || value === undefined) return "none";
+  if (typeof value === "boolean") return String(value);
+  if (typeof value === "number") {
+    return Number.isFinite(value) ? String(value) : "none";
+  }
+  if (typeof value === "string") {
+    return `"${value.replace(/[\\"\u0000-\u001f]/g, (char) => {
+      if (char === "\\" || char === '"') return `\\${char}`;
+      if (char === "\n") return "\\n";
+      if (char === "\t") return "\\t";
+      return `\\u{${char.charCodeAt(0).toString(16)}}`;
+    })}"`;
+  }
+  if (Array.isArray(value)) {
+    const items = value.map(toTypstValue);
+    return `(${items.join(", ")}${items.length === 1 ? "," : ""})`;
+  }
+
+  const entries = Object.entries(value).map(
+    ([key, item]) => `${toTypstValue(key)}: ${toTypstValue(item)}`
+  );
+  return entries.length > 0 ? `(${entries.join(", ")})` : "(:)";
+}
+
 /**
  * Generates minimal default Typst document
  * @param {string} pageBody Page content
@@ -965,58 +2952,140 @@ function generateMinimalDocument(pageBody) {
  * @param {Object|Object[]|null} layoutResult Layout object(s) or null
  * @param {string} pageBody Page content to wrap
  * @param {string[]} pagePathArray Path array of the page being built
- * @param {string} layoutInheritance Layout inheritance: 'none' | 'fallback' | 'merge'
+ * @param {string} layoutInheritance Layout inheritance: 'none' | 'fallback' | 'merge' | 'nest'
+ * @param {Object|null} page Page dictionary for layouts that take one, see getLayoutPage()
+ * @param {Object|null} preamble Site-wide preamble from loadPreamble(), prepended to the document
  * @returns {string} Complete Typst document ready to compile
  */
 export function composeDocument(
   layoutResult,
   pageBody,
   pagePathArray,
-  layoutInheritance = "fallback"
+  layoutInheritance = "fallback",
+  page = null,
+  preamble = null
+) {
+  return composeDocumentWithSourceMap(
+    layoutResult,
+    pageBody,
+    pagePathArray,
+    layoutInheritance,
+    page,
+    preamble
+  ).source;
+}
+
+/**
+ * Composes a page's Typst document like composeDocument(), recording which
+ * lines come from the page and layout files so diagnostics can be mapped back
+ * @param {Object|Object[]|null} layoutResult Layout object(s) or null
+ * @param {string} pageBody Page content to wrap
+ * @param {string[]} pagePathArray Path array of the page being built
+ * @param {string} layoutInheritance Layout inheritance: 'none' | 'fallback' | 'merge' | 'nest'
+ * @param {Object|null} page Page dictionary for layouts that take one, see getLayoutPage()
+ * @param {Object|null} preamble Site-wide preamble from loadPreamble(), prepended to the document
+ * @returns {Object} { source, sourceMap } (see createDocumentBuilder())
+ */
+function composeDocumentWithSourceMap(
+  layoutResult,
+  pageBody,
+  pagePathArray,
+  layoutInheritance = "fallback",
+  page = null,
+  preamble = null
 ) {
   if (typeof pageBody !== "string") {
     throw new Error("Page body must be a string");
   }
 
-  if (
-    !layoutResult ||
-    (Array.isArray(layoutResult) && layoutResult.length === 0)
-  ) {
-    return generateMinimalDocument(pageBody);
-  }
+  const builder = createDocumentBuilder();
+  const pageFile = [PAGES_DIR_NAME, ...pagePathArray].join("/");
+  const rewrittenPageBody = rewriteImports(
+    pageBody,
+    pagePathArray,
+    pagePathArray
+  );
 
-  const generateSingleLayoutDocument = (layout) => {
-    const layoutSource = rewriteImports(
-      layout.source,
-      layout.pathArray,
-      pagePathArray
-    );
-    const rewrittenPageBody = rewriteImports(
-      pageBody,
-      pagePathArray,
-      pagePathArray
+  const addLayout = (layout) => {
+    builder.addFile(
+      rewriteImports(layout.source, layout.pathArray, pagePathArray),
+      getSourcePath(layout.pathArray)
     );
+  };
 
-    return `${layoutSource}
-
-#layout[
-${rewrittenPageBody}
-]`;
+  const addWrappedBody = (layout) => {
+    if (takesPageArgument(layout)) {
+      builder.add("\n\n#layout([\n");
+      builder.addFile(rewrittenPageBody, pageFile);
+      builder.add(`\n], ${LAYOUT_PAGE_NAME})`);
+    } else {
+      builder.add("\n\n#layout[\n");
+      builder.addFile(rewrittenPageBody, pageFile);
+      builder.add("\n]");
+    }
   };
 
-  if (layoutInheritance === "none" || layoutInheritance === "fallback") {
-    return generateSingleLayoutDocument(layoutResult);
+  const isEmpty =
+    !layoutResult || (Array.isArray(layoutResult) && layoutResult.length === 0);
+  const isMerge = layoutInheritance === "merge" && Array.isArray(layoutResult);
+  const isNest = layoutInheritance === "nest" && Array.isArray(layoutResult);
+  const isSingle =
+    layoutInheritance === "none" || layoutInheritance === "fallback";
+  const isMinimal = isEmpty || (!isSingle && !isMerge && !isNest);
+
+  // Only the layouts that are called see the page; the dictionary is left
+  // out when none of them takes it
+  const calledLayouts = isMinimal
+    ? []
+    : isSingle
+    ? [layoutResult]
+    : isNest
+    ? layoutResult
+    : [layoutResult[0]];
+  if (preamble) {
+    const source = getPreambleSource(preamble, pagePathArray);
+    if (preamble.file) {
+      builder.addFile(source, preamble.file);
+    } else {
+      builder.add(source);
+    }
+    builder.add("\n\n");
   }
 
-  if (layoutInheritance === "merge" && Array.isArray(layoutResult)) {
-    if (layoutResult.length === 0) {
-      return generateMinimalDocument(pageBody);
-    }
+  if (calledLayouts.some(takesPageArgument)) {
+    builder.add(`#let ${LAYOUT_PAGE_NAME} = ${toTypstValue(page || {})}\n\n`);
+  }
 
-    if (layoutResult.length === 1) {
-      return generateSingleLayoutDocument(layoutResult[0]);
+  if (isMinimal) {
+    const [before, after] = generateMinimalDocument("\0").split("\0");
+    builder.add(before);
+    builder.addFile(pageBody, pageFile);
+    builder.add(after);
+  } else if (isSingle || layoutResult.length === 1) {
+    const layout = isSingle ? layoutResult : layoutResult[0];
+    addLayout(layout);
+    addWrappedBody(layout);
+  } else if (isNest) {
+    // Each layout file defines `layout`, so bind each one to its own name
+    // right after it, from the root layout down to the nearest one
+    const names = [];
+    for (let i = layoutResult.length - 1; i >= 0; i--) {
+      if (names.length > 0) builder.add("\n\n");
+      addLayout(layoutResult[i]);
+
+      const name = `tssg-layout-${names.length}`;
+      builder.add(
+        takesPageArgument(layoutResult[i])
+          ? `\n#let ${name} = body => layout(body, ${LAYOUT_PAGE_NAME})`
+          : `\n#let ${name} = layout`
+      );
+      names.push(name);
     }
 
+    builder.add(`\n\n#${names.join("(")}[\n`);
+    builder.addFile(rewrittenPageBody, pageFile);
+    builder.add(`\n]${")".repeat(names.length - 1)}`);
+  } else {
     const immediateLayout = layoutResult[0];
     const setMap = new Map();
 
@@ -1033,45 +3102,57 @@ ${rewrittenPageBody}
         const match = statement.trim().match(/^set\s+(\w+)/);
         if (match) {
           const key = match[1];
-          setMap.set(key, statement);
+          setMap.set(key, { statement, layout, rewrittenSource });
         }
       }
     }
 
-    const mergedSetStatements = Array.from(setMap.values());
-
-    const immediateLayoutSource = rewriteImports(
-      immediateLayout.source,
-      immediateLayout.pathArray,
-      pagePathArray
-    );
+    Array.from(setMap.values()).forEach(
+      ({ statement, layout, rewrittenSource }, index) => {
+        if (index > 0) builder.add("\n");
 
-    const rewrittenPageBody = rewriteImports(
-      pageBody,
-      pagePathArray,
-      pagePathArray
+        const before = rewrittenSource.slice(
+          0,
+          rewrittenSource.indexOf(statement)
+        );
+        const beforeLines = before.split("\n");
+        builder.addFile(
+          statement,
+          getSourcePath(layout.pathArray),
+          beforeLines.length,
+          beforeLines[beforeLines.length - 1].length
+        );
+      }
     );
 
-    return `${mergedSetStatements.join("\n")}
-
-${immediateLayoutSource}
-
-#layout[
-${rewrittenPageBody}
-]`;
+    builder.add("\n\n");
+    addLayout(immediateLayout);
+    addWrappedBody(immediateLayout);
   }
 
-  return generateMinimalDocument(pageBody);
+  return builder.build();
 }
 
 /**
- * Generates HTML viewer for a PDF page
+ * Generates HTML viewer for a PDF page, or the page shell for a page
+ * compiled with Typst's HTML export
  * @param {string} route Route path (e.g., '/blog/post/')
  * @param {string} title Page title
  * @param {number} pdfQuality PDF quality multiplier (default 2.0)
  * @param {string} customCss Custom CSS to inject (default "")
  * @param {boolean} hasSidebar Whether sidebar is enabled
  * @param {boolean} hasToc Whether TOC is enabled
+ * @param {string} base Base path (default "/")
+ * @param {Object} options Additional page options
+ * @param {Object} options.metadata Page metadata from readPageMetadata()
+ * @param {string|null} options.siteUrl Site origin for absolute URLs
+ * @param {Object} options.seo Site-wide SEO defaults
+ * @param {string} options.lang Site language (default "en")
+ * @param {boolean} options.hasSearch Whether the search box is enabled
+ * @param {string} options.content Semantic page content from generatePageContent()
+ * @param {string|null} options.html Page body from Typst's HTML export (uses the page shell instead of the PDF viewer)
+ * @param {Array} options.fallbackPages Page images for readers without JavaScript, see exportFallbackImages()
+ * @param {string[]} options.stylesheets URLs of external stylesheets, see writePageStylesheets()
  * @returns {string} HTML string
  */
 export function generateViewer(
@@ -1081,20 +3162,132 @@ export function generateViewer(
   customCss = "",
   hasSidebar = false,
   hasToc = false,
-  base = "/"
+  base = "/",
+  options = {}
 ) {
-  const templatePath = new URL("./templates/viewer.tssg", import.meta.url);
+  const isHtml = typeof options.html === "string";
+  const templatePath = new URL(
+    isHtml ? "./templates/page.tssg" : "./templates/viewer.tssg",
+    import.meta.url
+  );
   const template = fs.readFileSync(templatePath, "utf-8");
 
   const basePath = base === "/" ? "/" : base.replace(/\/$/, "") + "/";
+  const metadata = options.metadata || {};
+  const lang = metadata.lang || options.lang || "en";
+
+  const pageDir = options.pageDir || routeToUrl(route, base);
+
+  // The error page is served at arbitrary URLs, so it gets no canonical URL
+  let metaTags = generateMetaTags(
+    { route, title, metadata },
+    {
+      base,
+      siteUrl: options.isErrorPage ? null : options.siteUrl,
+      seo: options.seo,
+    }
+  );
+  if (options.isErrorPage) {
+    metaTags = `<meta name="robots" content="noindex" />\n    ${metaTags}`;
+  }
+
+  let draftBanner = "";
+  if (metadata.draft) {
+    draftBanner = "Draft: this page is not published";
+  } else if (!isPagePublished(metadata)) {
+    draftBanner = `Scheduled: this page is published on ${metadata.publishDate}`;
+  }
+  if (draftBanner) {
+    draftBanner = `<div class="draft-banner" role="note">${escapeHtml(
+      draftBanner
+    )}</div>`;
+  }
+
+  // Visually hidden, the canvas stays the visual presentation
+  const content = options.content
+    ? `<article class="page-content">
+          ${options.content}
+        </article>`
+    : "";
+
+  const noscript = generateFallbackHtml(title, pageDir, options.fallbackPages);
+
+  const stylesheets = (options.stylesheets || [])
+    .map((href) => `<link rel="stylesheet" href="${escapeHtml(href)}" />`)
+    .join("\n    ");
+
+  const values = {
+    lang: escapeHtml(lang),
+    title: escapeHtml(title),
+    metaTags,
+    draftBanner,
+    body: isHtml ? options.html : "",
+    content,
+    noscript,
+    pdfQuality,
+    stylesheets,
+    customCss,
+    hasSidebar,
+    hasToc,
+    hasSearch: options.hasSearch === true,
+    pageDir: toScriptValue(pageDir),
+    route: toScriptValue(route),
+    base: basePath,
+    basePath: toScriptValue(basePath),
+  };
+
+  // One pass, so page text that looks like a placeholder is left as it is
+  return template.replace(/\{\{(\w+)\}\}/g, (placeholder, key) =>
+    key in values ? String(values[key]) : placeholder
+  );
+}
+
+/**
+ * Generates the viewer's <noscript> block: the page images with image maps
+ * for their links
+ * @param {string} title Page title
+ * @param {string} pageDir URL of the page's output directory
+ * @param {Array} fallbackPages Page images from exportFallbackImages()
+ * @returns {string} HTML string ('' without images)
+ */
+function generateFallbackHtml(title, pageDir, fallbackPages = []) {
+  if (!fallbackPages || fallbackPages.length === 0) return "";
+
+  const images = fallbackPages.map((page, index) => {
+    const number = index + 1;
+    const file = page.path.split("/").pop();
+    const mapName = `page-${number}-links`;
+    const alt = `${title} (page ${number})`;
+
+    // Links open in a new tab unless marked same-tab, as in the viewer
+    const areas = page.links.map((link) => {
+      const href = escapeHtml(link.href);
+      const target = link.newTab
+        ? ' target="_blank" rel="noopener noreferrer"'
+        : "";
+      return `<area shape="rect" coords="${link.coords.join(
+        ","
+      )}" href="${href}" alt="${href}"${target} />`;
+    });
+
+    return [
+      `<img class="fallback-page" src="${escapeHtml(pageDir + file)}" width="${
+        page.width
+      }" height="${page.height}" alt="${escapeHtml(alt)}"${
+        areas.length > 0 ? ` usemap="#${mapName}"` : ""
+      } />`,
+      areas.length > 0 ? `<map name="${mapName}">${areas.join("")}</map>` : "",
+    ].join("");
+  });
 
-  return template
-    .replace(/\{\{title\}\}/g, title)
-    .replace(/\{\{pdfQuality\}\}/g, pdfQuality)
-    .replace(/\{\{customCss\}\}/g, customCss)
-    .replace(/\{\{hasSidebar\}\}/g, hasSidebar)
-    .replace(/\{\{hasToc\}\}/g, hasToc)
-    .replace(/\{\{base\}\}/g, basePath);
+  return `<noscript>
+        <style>
+          #loading {
+            display: none;
+          }
+        </style>
+        ${images.join("\n        ")}
+      </noscript>`;
 }
 
 /**
@@ -1112,8 +3305,15 @@ export async function buildIncremental(changedFile, options = {}) {
     root: path.resolve(rootPath),
     src: path.resolve(rootPath, userConfig.src || "./src"),
     output: path.resolve(options.output || "./build"),
+    drafts: options.drafts || false,
+    cache: options.cache !== false && userConfig.cache?.enabled !== false,
+    concurrency:
+      parseInt(options.jobs, 10) ||
+      parseInt(userConfig.concurrency, 10) ||
+      os.cpus().length,
     verbose: options.verbose || false,
     base: userConfig.base || "/",
+    siteUrl: userConfig.siteUrl || null,
     indexPage: userConfig.indexPage,
     layoutInheritance: userConfig.layoutInheritance,
     maxMergeDepth: userConfig.maxMergeDepth,
@@ -1121,7 +3321,23 @@ export async function buildIncremental(changedFile, options = {}) {
     sidebar: userConfig.sidebar,
     toc: userConfig.toc,
     theme: userConfig.theme,
+    sitemap: userConfig.sitemap,
+    robots: userConfig.robots,
+    feeds: userConfig.feeds,
+    redirects: userConfig.redirects,
+    redirectsFile: userConfig.redirectsFile || false,
+    lang: userConfig.lang,
+    seo: userConfig.seo,
+    search: userConfig.search,
+    fallback: userConfig.fallback,
+    css: userConfig.css,
+    mode: options.mode || "production",
+    inputs: userConfig.inputs,
+    ignoreSystemFonts: userConfig.ignoreSystemFonts || false,
   };
+  config.fonts = resolveFontPaths(userConfig.fonts, config);
+  config.fontFiles = config.cache ? describeDirectoryFiles(config.fonts) : [];
+  config.preamble = loadPreamble(userConfig.preamble, config);
 
   const pagesDir = path.join(config.src, PAGES_DIR_NAME);
   const assetsDir = path.join(config.src, ASSETS_DIR_NAME);
@@ -1129,6 +3345,9 @@ export async function buildIncremental(changedFile, options = {}) {
   const relativePath = path.relative(config.root, changedFile);
   const srcRelative = path.relative(config.root, config.src);
   const assetsRelative = path.join(srcRelative, ASSETS_DIR_NAME);
+  // Page stylesheets can @import CSS files from anywhere, assets included
+  const isCss = changedFile.endsWith(".css");
+  let assetCount = 0;
 
   if (relativePath.startsWith(assetsRelative + path.sep)) {
     const outputAssetsDir = path.join(config.output, ASSETS_DIR_NAME);
@@ -1137,17 +3356,20 @@ export async function buildIncremental(changedFile, options = {}) {
 
     fs.mkdirSync(path.dirname(outputPath), { recursive: true });
     fs.copyFileSync(changedFile, outputPath);
-
-    return {
-      success: true,
-      pageCount: 0,
-      assetCount: 1,
-      duration: Date.now() - startTime,
-      errors: [],
-    };
+    assetCount = 1;
+
+    if (!isCss) {
+      return {
+        success: true,
+        pageCount: 0,
+        assetCount,
+        duration: Date.now() - startTime,
+        errors: [],
+      };
+    }
   }
 
-  if (!changedFile.endsWith(".typ")) {
+  if (!changedFile.endsWith(".typ") && !isCss) {
     return {
       success: true,
       pageCount: 0,
@@ -1165,49 +3387,169 @@ export async function buildIncremental(changedFile, options = {}) {
   );
   const pagesRelativeToSrc = normalizePath(path.relative(config.src, pagesDir));
 
-  const affectedPages = findAffectedPages(
-    changedFileRelativeToSrc,
-    depGraph,
-    pagesTree,
-    pagesRelativeToSrc
-  );
+  const cacheDir = path.join(config.root, CACHE_DIR_NAME);
+  const context = {
+    queue: createWorkQueue(config.concurrency),
+    staging: { dir: null },
+    resolvedCss: new Map(),
+  };
+  config.typstVersion = checkTypstInstalled().version;
+  if (config.cache) {
+    context.cache = loadBuildCache(cacheDir, config.output);
+    context.depGraph = depGraph;
+  }
+
+  const affectedPages = isCss
+    ? findCssAffectedPages(changedFile, pagesTree, config, context.resolvedCss)
+    : findAffectedPages(
+        changedFileRelativeToSrc,
+        addNamedLayoutDependencies(depGraph, pagesTree, config, context.cache),
+        pagesTree,
+        pagesRelativeToSrc
+      );
 
   const errors = [];
+  const diagnostics = [];
+  const builtPages = [];
+  const removedRoutes = [];
   let pageCount = 0;
 
-  for (const page of affectedPages) {
-    try {
-      await buildPage(page.pathArray, page.content, pagesTree, config);
-      pageCount++;
-
-      if (config.verbose) {
-        const route = pathToRoute(page.pathArray);
-        console.log(`✓ Rebuilt ${route}`);
+  context.hiddenRoutes = new Set();
+  if (!config.drafts && context.cache) {
+    for (const [route, entry] of Object.entries(context.cache.pages)) {
+      if (entry.query && !isPagePublished(entry.query.metadata)) {
+        context.hiddenRoutes.add(route);
       }
-    } catch (error) {
-      errors.push(
-        `Failed to rebuild ${page.pathArray.join("/")}: ${error.message}`
-      );
     }
   }
 
+  try {
+    await Promise.all(
+      affectedPages.map(async (page) => {
+        try {
+          const prepared = await preparePage(
+            page.pathArray,
+            page.content,
+            pagesTree,
+            config,
+            context
+          );
+
+          if (!isPageVisible(prepared.metadata, config)) {
+            context.hiddenRoutes.add(prepared.route);
+            removePageOutput(prepared, config);
+            removedRoutes.push(prepared.route);
+            return;
+          }
+          context.hiddenRoutes.delete(prepared.route);
+
+          const built = await finishPage(prepared, pagesTree, config, context);
+          builtPages.push(built);
+          pageCount++;
+
+          if (config.verbose) {
+            console.log(`✓ Rebuilt ${built.route}`);
+          }
+        } catch (error) {
+          errors.push(
+            `Failed to rebuild ${page.pathArray.join("/")}: ${error.message}`
+          );
+          diagnostics.push(
+            ...withRoute(
+              error.diagnostics,
+              getPageRoute(page.pathArray, config)
+            )
+          );
+        }
+      })
+    );
+  } finally {
+    if (context.staging.dir) {
+      cleanupTempDir(context.staging.dir);
+    }
+  }
+
+  if (context.cache && affectedPages.length > 0) {
+    saveBuildCache(cacheDir, context.cache);
+  }
+
+  // Pages hidden by this rebuild leave the index along with their output
+  if (
+    config.search?.enabled !== false &&
+    (builtPages.length > 0 || removedRoutes.length > 0)
+  ) {
+    writeSearchIndex(
+      path.join(config.output, SEARCH_INDEX_FILE),
+      builtPages.flatMap((page) => page.searchEntries),
+      [...builtPages.map((page) => page.route), ...removedRoutes]
+    );
+  }
+
+  // Pages that were not rebuilt are only known from the cache
+  if (context.cache && (builtPages.length > 0 || removedRoutes.length > 0)) {
+    writeSiteFiles(
+      listSitePages(pagesTree, builtPages, config, context),
+      config
+    );
+  }
+
+  const duration = Date.now() - startTime;
+  let manifest = null;
+  if (builtPages.length > 0 || removedRoutes.length > 0) {
+    manifest = writeBuildManifest(
+      path.join(config.output, MANIFEST_FILE),
+      createBuildManifest(
+        builtPages.map((page) => page.manifestEntry),
+        {
+          typstVersion: config.typstVersion,
+          base: config.base,
+          duration,
+          errors,
+        }
+      ),
+      [...builtPages.map((page) => page.route), ...removedRoutes]
+    );
+  }
+
   return {
     success: errors.length === 0,
     pageCount,
-    assetCount: 0,
-    duration: Date.now() - startTime,
+    assetCount,
+    duration,
     errors,
+    diagnostics,
+    manifest,
   };
 }
 
+/**
+ * Formats a page or directory name as a navigation title
+ * (e.g., 'getting-started' -> 'Getting Started')
+ * @param {string} name File name without extension, or directory name
+ * @returns {string} Title
+ */
+function formatNavigationTitle(name) {
+  return name
+    .replace(/[-_]/g, " ")
+    .split(" ")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+}
+
 /**
  * Generate sidebar structure from pages tree
  * @param {Object} pagesTree Pages tree object
  * @param {string} currentRoute Current page route for active highlighting
  * @param {Object} config User config
+ * @param {Set<string>} hiddenRoutes Routes of unpublished pages to leave out
  * @returns {Array} Sidebar structure
  */
-function generateSidebarStructure(pagesTree, currentRoute = "/", config = {}) {
+function generateSidebarStructure(
+  pagesTree,
+  currentRoute = "/",
+  config = {},
+  hiddenRoutes = new Set()
+) {
   function processNode(node, pathArray = [], depth = 0) {
     const items = [];
 
@@ -1223,21 +3565,22 @@ function generateSidebarStructure(pagesTree, currentRoute = "/", config = {}) {
 
         const pageName = key.replace(".typ", "");
         const pagePath = [...pathArray, key];
+        if (isErrorPage(pagePath)) continue;
+
         let route = pathToRoute(pagePath);
 
         if (config.indexPage && key === config.indexPage) {
           route = "/";
         }
 
-        if (config.sidebar?.exclude?.includes(route)) {
+        if (
+          config.sidebar?.exclude?.includes(route) ||
+          hiddenRoutes.has(route)
+        ) {
           continue;
         }
 
-        let title = pageName
-          .replace(/[-_]/g, " ")
-          .split(" ")
-          .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-          .join(" ");
+        let title = formatNavigationTitle(pageName);
 
         items.push({
           type: "page",
@@ -1251,11 +3594,7 @@ function generateSidebarStructure(pagesTree, currentRoute = "/", config = {}) {
         const children = processNode(value, folderPath, depth + 1);
 
         if (children.length > 0) {
-          let title = key
-            .replace(/[-_]/g, " ")
-            .split(" ")
-            .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
-            .join(" ");
+          let title = formatNavigationTitle(key);
 
           items.push({
             type: "folder",
@@ -1285,13 +3624,14 @@ function generateSidebarStructure(pagesTree, currentRoute = "/", config = {}) {
  * Generate Typst source for sidebar
  * @param {Array} structure Sidebar structure
  * @param {Object} theme Theme options
+ * @param {string} preamble Site-wide preamble to prepend, see getPreambleSource()
  * @returns {string} Typst source
  */
-function generateSidebarTypst(structure, theme = {}) {
+function generateSidebarTypst(structure, theme = {}, preamble = "") {
   const bgColor = theme.sidebarBg || "#f8f9fa";
   const textColor = theme.sidebarTextColor || "#333";
   const activeColor = theme.sidebarActiveColor || "#007bff";
-  const font = theme.sidebarFont || "Libertinus Serif";
+  const font = theme.sidebarFont || DEFAULT_NAVIGATION_FONT;
   const fontSize = theme.sidebarFontSize || "10pt";
   const fontWeight = theme.sidebarFontWeight || "regular";
   const folderFontSize = theme.sidebarFolderFontSize || "11pt";
@@ -1301,7 +3641,7 @@ function generateSidebarTypst(structure, theme = {}) {
   const marginX = theme.sidebarMarginX || "1em";
   const marginY = theme.sidebarMarginY || "1em";
 
-  let typst = `#set page(
+  let typst = `${preamble ? `${preamble}\n\n` : ""}#set page(
       width: 250pt, 
       height: auto, 
       margin: (
@@ -1392,12 +3732,13 @@ function extractHeadings(source, minLevel = 1, maxLevel = 4) {
  * Generate Typst source for table of contents
  * @param {Array} headings Heading structure
  * @param {Object} theme Theme options
+ * @param {string} preamble Site-wide preamble to prepend, see getPreambleSource()
  * @returns {string} Typst source
  */
-function generateTocTypst(headings, theme = {}) {
+function generateTocTypst(headings, theme = {}, preamble = "") {
   const bgColor = theme.tocBg || "#f8f9fa";
   const textColor = theme.tocTextColor || "#333";
-  const font = theme.tocFont || "Libertinus Serif";
+  const font = theme.tocFont || DEFAULT_NAVIGATION_FONT;
   const fontSize = theme.tocFontSize || "9pt";
   const fontWeight = theme.tocFontWeight || "regular";
   const titleFontSize = theme.tocTitleFontSize || "10pt";
@@ -1405,7 +3746,7 @@ function generateTocTypst(headings, theme = {}) {
   const marginX = theme.tocMarginX || "1em";
   const marginY = theme.tocMarginY || "1em";
 
-  let typst = `#set page(
+  let typst = `${preamble ? `${preamble}\n\n` : ""}#set page(
       width: 200pt, 
       height: auto, 
       margin: (
@@ -0,0 +1,138 @@
+/**
+ * Persistent content-hash build cache
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const CACHE_VERSION = 3;
+const MANIFEST_FILE = "manifest.json";
+
+/**
+ * Loads the cache manifest from the cache directory
+ * @param {string} cacheDir Cache directory path
+ * @param {string} outputDir Build output directory the cache describes
+ * @returns {Object} Cache manifest { version, output, pages }
+ */
+export function loadBuildCache(cacheDir, outputDir) {
+  const emptyCache = { version: CACHE_VERSION, output: outputDir, pages: {} };
+  const manifestPath = path.join(cacheDir, MANIFEST_FILE);
+
+  if (!fs.existsSync(manifestPath)) {
+    return emptyCache;
+  }
+
+  try {
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+    if (
+      manifest.version !== CACHE_VERSION ||
+      manifest.output !== outputDir ||
+      typeof manifest.pages !== "object"
+    ) {
+      return emptyCache;
+    }
+    return manifest;
+  } catch (error) {
+    console.warn(`Ignoring unreadable build cache: ${error.message}`);
+    return emptyCache;
+  }
+}
+
+/**
+ * Writes the cache manifest to the cache directory
+ * @param {string} cacheDir Cache directory path
+ * @param {Object} cache Cache manifest from loadBuildCache()
+ */
+export function saveBuildCache(cacheDir, cache) {
+  try {
+    fs.mkdirSync(cacheDir, { recursive: true });
+    fs.writeFileSync(
+      path.join(cacheDir, MANIFEST_FILE),
+      JSON.stringify(cache),
+      "utf-8"
+    );
+  } catch (error) {
+    console.warn(`Could not write build cache: ${error.message}`);
+  }
+}
+
+/**
+ * Describes the files in the given directories by path, size and
+ * modification time, so replacing a file in place changes cache keys
+ * @param {string[]} dirs Directories to scan recursively (e.g., font directories)
+ * @returns {string[]} Sorted entries ('path:size:mtime')
+ */
+export function describeDirectoryFiles(dirs = []) {
+  const entries = [];
+
+  const scan = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        scan(fullPath);
+      } else if (entry.isFile()) {
+        const stat = fs.statSync(fullPath);
+        entries.push(`${fullPath}:${stat.size}:${stat.mtimeMs}`);
+      }
+    }
+  };
+
+  for (const dir of dirs) {
+    if (fs.existsSync(dir)) scan(dir);
+  }
+
+  return entries.sort();
+}
+
+/**
+ * Computes the cache key for a page from everything its compilation depends on
+ * @param {Object} inputs Page inputs
+ * @param {string} inputs.document Composed Typst document
+ * @param {string[]} inputs.sources Generated sources compiled with the page (sidebar, etc.)
+ * @param {Array} inputs.dependencies Resolved dependencies [{ path, content }]
+ * @param {string} inputs.typstVersion Typst version
+ * @param {Object} inputs.config Config values that affect compilation
+ * @returns {string} Hex digest
+ */
+export function hashPageInputs({
+  document,
+  sources = [],
+  dependencies = [],
+  typstVersion = "",
+  config = {},
+}) {
+  const hash = crypto.createHash("sha256");
+
+  hash.update(`typst:${typstVersion}\0`);
+  hash.update(`config:${JSON.stringify(config)}\0`);
+  hash.update(`document:${document}\0`);
+
+  for (const source of sources) {
+    hash.update(`source:${source}\0`);
+  }
+
+  const sorted = [...dependencies].sort((a, b) => a.path.localeCompare(b.path));
+  for (const dependency of sorted) {
+    hash.update(`dependency:${dependency.path}\0`);
+    hash.update(dependency.content === null ? "missing" : dependency.content);
+    hash.update("\0");
+  }
+
+  return hash.digest("hex");
+}
+
+/**
+ * Checks if a cache entry matches the key and all its artifacts still exist
+ * @param {Object|undefined} entry Cache entry for the page
+ * @param {string} key Current cache key
+ * @param {string} outputDir Build output directory
+ * @returns {boolean} True if compilation can be skipped
+ */
+export function isCacheEntryFresh(entry, key, outputDir) {
+  if (!entry || entry.key !== key) return false;
+
+  return (entry.artifacts || []).every((artifact) =>
+    fs.existsSync(path.join(outputDir, artifact))
+  );
+}
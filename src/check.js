@@ -0,0 +1,260 @@
+/**
+ * Link checking for built sites
+ */
+
+import fs from "fs";
+import path from "path";
+import { readTree, walkTree } from "./tree.js";
+import { routeToUrl } from "./pipeline.js";
+import { getPageRoute, getPageBuildPaths, isLayoutFile } from "./build.js";
+import { readPdf } from "./pdf.js";
+import { decodeHtml } from "./html.js";
+import { normalizeRedirects, matchRedirect } from "./redirects.js";
+import { loadConfig } from "./index.js";
+
+const TSSG_COPY_PREFIX = "tssg:copy:";
+const TSSG_SAMETAB_PREFIX = "tssg:sametab:";
+const PAGE_PDF_FILE = "index.pdf";
+const PAGE_HTML_FILE = "index.html";
+const HTML_PAGE_MARKER = 'window.PAGE_OUTPUT = "html"';
+const ASSETS_DIR_NAME = "assets";
+
+/**
+ * Checks if a directory holds a page built with `output: "html"`
+ * @param {string} dir Directory in the build output
+ * @returns {boolean} True if its index.html is the HTML page shell
+ */
+function isHtmlPageDir(dir) {
+  const htmlPath = path.join(dir, PAGE_HTML_FILE);
+  return (
+    fs.existsSync(htmlPath) &&
+    fs.readFileSync(htmlPath, "utf-8").includes(HTML_PAGE_MARKER)
+  );
+}
+
+/**
+ * Finds the pages in the build output: directories with a page PDF, or with
+ * the page shell of an HTML page
+ * @param {string} outputDir Build output directory
+ * @param {string} relativePath Current path relative to outputDir
+ * @returns {string[]} Page directories relative to outputDir ('' for the root page)
+ */
+function findPageDirs(outputDir, relativePath = "") {
+  const dirs = [];
+  const entries = fs.readdirSync(path.join(outputDir, relativePath), {
+    withFileTypes: true,
+  });
+
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      if (relativePath === "" && entry.name === ASSETS_DIR_NAME) continue;
+      dirs.push(
+        ...findPageDirs(outputDir, path.posix.join(relativePath, entry.name))
+      );
+    } else if (entry.name === PAGE_PDF_FILE) {
+      dirs.push(relativePath);
+    }
+  }
+
+  if (
+    !dirs.includes(relativePath) &&
+    isHtmlPageDir(path.join(outputDir, relativePath))
+  ) {
+    dirs.push(relativePath);
+  }
+
+  return dirs;
+}
+
+/**
+ * Reads the links of a built page
+ * @param {string} dir Page directory in the build output
+ * @returns {Promise<Array>} Links [{ pageNumber, uri }] (pageNumber is null for HTML pages)
+ */
+async function readPageLinks(dir) {
+  const pdfPath = path.join(dir, PAGE_PDF_FILE);
+  if (!fs.existsSync(pdfPath)) {
+    const html = fs.readFileSync(path.join(dir, PAGE_HTML_FILE), "utf-8");
+    const body = html.match(/<article class="html-page">([\s\S]*)<\/article>/);
+    return [...(body ? body[1] : "").matchAll(/<a href="([^"]*)"/g)].map(
+      (match) => ({ pageNumber: null, uri: decodeHtml(match[1]) })
+    );
+  }
+
+  const pdf = await readPdf(pdfPath);
+  return pdf.pages.flatMap((pdfPage, pageIndex) =>
+    pdfPage.links.map((link) => ({ pageNumber: pageIndex + 1, uri: link.uri }))
+  );
+}
+
+/**
+ * Classifies a link URI from a page
+ * @param {string} uri Link URI
+ * @param {string} pageUrl URL path of the linking page (e.g., '/docs/blog/post/')
+ * @param {string|null} origin Site origin from siteUrl
+ * @returns {Object|null} { type: 'internal', path } | { type: 'external', url } | { type: 'malformed' } | null to skip
+ */
+function classifyLink(uri, pageUrl, origin) {
+  let target = uri;
+  if (target.startsWith(TSSG_COPY_PREFIX)) return null;
+  if (target.startsWith(TSSG_SAMETAB_PREFIX)) {
+    target = target.slice(TSSG_SAMETAB_PREFIX.length);
+  }
+
+  if (origin) {
+    if (target === origin || target.startsWith(origin + "/")) {
+      target = target.slice(origin.length) || "/";
+    }
+  }
+
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith("//")) {
+    return { type: "external", url: target };
+  }
+
+  if (target.startsWith("#")) return null;
+
+  try {
+    const resolved = new URL(target, "http://localhost" + pageUrl);
+    return { type: "internal", path: decodeURIComponent(resolved.pathname) };
+  } catch {
+    return { type: "malformed" };
+  }
+}
+
+/**
+ * Checks an internal link path against the route table and build output
+ * @param {string} linkPath Absolute URL path (e.g., '/docs/about/')
+ * @param {Object} site Site data { routes (route -> page path array), basePath, redirects, output }
+ * @returns {string|null} Reason the link is broken, or null if it resolves
+ */
+function checkInternalPath(linkPath, site) {
+  let route = linkPath;
+  if (site.basePath !== "/") {
+    if (route !== site.basePath && !route.startsWith(site.basePath + "/")) {
+      return `missing base path ${site.basePath}/`;
+    }
+    route = route.slice(site.basePath.length) || "/";
+  }
+
+  const lastSegment = route.split("/").pop();
+  if (!route.endsWith("/") && !lastSegment.includes(".")) {
+    route += "/";
+  }
+
+  if (site.routes.has(route)) {
+    const htmlPath = path.join(
+      site.output,
+      getPageBuildPaths(site.routes.get(route), route).htmlPath
+    );
+    return fs.existsSync(htmlPath)
+      ? null
+      : `page ${route} was not built (draft, scheduled or failed)`;
+  }
+
+  if (matchRedirect(route, site.redirects)) return null;
+
+  const filePath = path.join(site.output, route);
+  if (fs.existsSync(filePath)) {
+    const isFile = fs.statSync(filePath).isFile();
+    if (isFile || fs.existsSync(path.join(filePath, "index.html"))) {
+      return null;
+    }
+  }
+
+  return `no page or file at ${route}`;
+}
+
+/**
+ * Checks the links in all pages of a built site
+ * @param {Object} options Check options
+ * @param {string} options.root Project root directory
+ * @param {string} options.output Build output directory
+ * @returns {Promise<Object>} { pageCount, linkCount, broken: [{ page, pageNumber, uri, reason }], external: [{ page, pageNumber, uri }] }
+ */
+export async function checkLinks(options = {}) {
+  const rootPath = options.root || ".";
+  const userConfig = await loadConfig(rootPath);
+
+  const config = {
+    src: path.resolve(rootPath, userConfig.src || "./src"),
+    output: path.resolve(options.output || "./build"),
+    base: userConfig.base || "/",
+    siteUrl: userConfig.siteUrl || null,
+    indexPage: userConfig.indexPage,
+  };
+
+  if (!fs.existsSync(config.output)) {
+    throw new Error(
+      `Build output not found: ${config.output}. Run \`tssg build\` first.`
+    );
+  }
+
+  const pagesDir = path.join(config.src, "pages");
+  if (!fs.existsSync(pagesDir)) {
+    throw new Error(`Pages directory not found: ${pagesDir}`);
+  }
+
+  const routes = new Map();
+  walkTree(
+    readTree(pagesDir, { extensions: [".typ"] }),
+    (pathArray, content, isLeaf) => {
+      const fileName = pathArray[pathArray.length - 1];
+      if (!isLeaf || !fileName.endsWith(".typ")) return;
+      if (fileName === "index.typ" && isLayoutFile(content)) return;
+      routes.set(getPageRoute(pathArray, config), pathArray);
+    }
+  );
+
+  const site = {
+    routes,
+    basePath: "/" + config.base.replace(/^\/+|\/+$/g, ""),
+    redirects: normalizeRedirects(userConfig.redirects),
+    output: config.output,
+  };
+
+  let origin = null;
+  if (config.siteUrl) {
+    try {
+      origin = new URL(config.siteUrl).origin;
+    } catch {
+      console.warn(`Ignoring invalid siteUrl: ${config.siteUrl}`);
+    }
+  }
+
+  const broken = [];
+  const external = [];
+  let linkCount = 0;
+
+  const pageDirs = findPageDirs(config.output).sort();
+
+  for (const dir of pageDirs) {
+    const page = dir ? `/${dir}/` : "/";
+    const pageUrl = routeToUrl(page, config.base);
+    const links = await readPageLinks(path.join(config.output, dir));
+
+    for (const link of links) {
+      const target = classifyLink(link.uri, pageUrl, origin);
+      if (!target) continue;
+
+      linkCount++;
+      const entry = { page, pageNumber: link.pageNumber, uri: link.uri };
+
+      if (target.type === "external") {
+        external.push(entry);
+        continue;
+      }
+
+      if (target.type === "malformed") {
+        broken.push({ ...entry, reason: "malformed link" });
+        continue;
+      }
+
+      const reason = checkInternalPath(target.path, site);
+      if (reason) {
+        broken.push({ ...entry, reason });
+      }
+    }
+  }
+
+  return { pageCount: pageDirs.length, linkCount, broken, external };
+}
@@ -6,6 +6,7 @@ import path from "path";
 import { fileURLToPath } from "url";
 import { build } from "./build.js";
 import { dev } from "./server.js";
+import { checkLinks } from "./check.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 const packageJson = JSON.parse(
@@ -42,6 +43,12 @@ program
   )
   .option("-o, --output <path>", "Output directory for built site", "./build")
   .option("--no-clean", "Skip cleaning output directory before build")
+  .option("--no-cache", "Recompile every page, ignoring the build cache")
+  .option("--drafts", "Include draft and scheduled pages", false)
+  .option(
+    "-j, --jobs <number>",
+    "Number of Typst processes to run in parallel (default: CPU count)"
+  )
   .option("-v, --verbose", "Show detailed build output", false)
   .action(async (options) => {
     console.log("Building static site...\n");
@@ -51,6 +58,9 @@ program
         root: options.root,
         output: options.output,
         clean: options.clean,
+        cache: options.cache,
+        drafts: options.drafts,
+        jobs: options.jobs,
         verbose: options.verbose,
       });
 
@@ -60,6 +70,14 @@ program
             result.assetCount
           } asset(s) in ${(result.duration / 1000).toFixed(2)}s`
         );
+        if (result.skippedCount > 0) {
+          console.log(
+            `✓ Skipped ${result.skippedCount} draft or scheduled page(s)`
+          );
+        }
+        if (result.cachedCount > 0) {
+          console.log(`✓ Reused ${result.cachedCount} cached page(s)`);
+        }
         console.log(`✓ Output: ${path.resolve(options.output)}`);
         process.exit(0);
       } else {
@@ -109,6 +127,68 @@ program
     }
   });
 
+program
+  .command("check")
+  .description("Check the built site for broken internal links")
+  .option(
+    "-r, --root <path>",
+    "Root directory containing pages/ and assets/",
+    "."
+  )
+  .option(
+    "-o, --output <path>",
+    "Output directory of the built site",
+    "./build"
+  )
+  .option("-v, --verbose", "List every external link", false)
+  .action(async (options) => {
+    console.log("Checking links...\n");
+
+    try {
+      const result = await checkLinks({
+        root: options.root,
+        output: options.output,
+      });
+      // HTML pages have no page numbers
+      const linkSource = (link) =>
+        link.pageNumber === null
+          ? link.page
+          : `${link.page} (page ${link.pageNumber})`;
+
+      if (result.external.length > 0) {
+        const externalUrls = new Set(result.external.map((link) => link.uri));
+        console.log(
+          `External links (not checked): ${externalUrls.size} unique URL(s)`
+        );
+        if (options.verbose) {
+          result.external.forEach((link) =>
+            console.log(`  ${linkSource(link)}: ${link.uri}`)
+          );
+        }
+        console.log("");
+      }
+
+      if (result.broken.length > 0) {
+        console.error(`✗ Found ${result.broken.length} broken link(s):`);
+        result.broken.forEach((link) =>
+          console.error(`  ${linkSource(link)}: ${link.uri} - ${link.reason}`)
+        );
+        process.exit(1);
+      }
+
+      console.log(
+        `✓ Checked ${result.linkCount} link(s) in ${result.pageCount} page(s), no broken links`
+      );
+      process.exit(0);
+    } catch (error) {
+      console.error(`\n✗ Check failed: ${error.message}`);
+      if (options.verbose) {
+        console.error(error.stack);
+      }
+      process.exit(1);
+    }
+  });
+
 program
   .command("init [directory]")
   .description("Initialize a new Typst site")
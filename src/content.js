@@ -0,0 +1,150 @@
+/**
+ * Semantic HTML for compiled pages, for screen readers and search engines
+ */
+
+import { escapeHtml } from "./html.js";
+import { sortHeadings, isHeadingReached } from "./search.js";
+
+const TSSG_COPY_PREFIX = "tssg:copy:";
+const TSSG_SAMETAB_PREFIX = "tssg:sametab:";
+
+// A gap between lines larger than this fraction of the line height starts a new paragraph
+const PARAGRAPH_GAP = 0.8;
+
+/**
+ * Gets the target of a link annotation
+ * @param {string} uri Link URI
+ * @returns {string|null} Link target, or null for links that are not navigation
+ */
+function getLinkHref(uri) {
+  if (uri.startsWith(TSSG_COPY_PREFIX)) return null;
+  if (uri.startsWith(TSSG_SAMETAB_PREFIX)) {
+    return uri.slice(TSSG_SAMETAB_PREFIX.length);
+  }
+  return uri;
+}
+
+/**
+ * Converts a horizontal position on a line to a character offset, assuming
+ * evenly spaced characters and snapping to word boundaries
+ * @param {Object} line Text line from readPdf()
+ * @param {number} x Position in PDF coordinates
+ * @param {boolean} isEnd Snap forward to the end of a word instead of back to its start
+ * @returns {number} Character offset
+ */
+function getCharOffset(line, x, isEnd) {
+  const width = line.right - line.left;
+  const ratio = width > 0 ? (x - line.left) / width : 0;
+  let offset = Math.round(Math.min(1, Math.max(0, ratio)) * line.text.length);
+
+  if (isEnd) {
+    while (offset < line.text.length && line.text[offset] !== " ") offset++;
+  } else {
+    while (offset > 0 && line.text[offset - 1] !== " ") offset--;
+  }
+
+  return offset;
+}
+
+/**
+ * Renders a text line as HTML, wrapping the parts covered by links in anchors
+ * @param {Object} line Text line from readPdf()
+ * @param {Array} links Link annotations of the line's page
+ * @returns {string} HTML string
+ */
+function renderLine(line, links) {
+  const middle = (line.top + line.bottom) / 2;
+  const covering = links
+    .filter(
+      (link) =>
+        getLinkHref(link.uri) !== null &&
+        Math.min(link.top, link.bottom) <= middle &&
+        Math.max(link.top, link.bottom) >= middle &&
+        Math.min(link.left, link.right) < line.right &&
+        Math.max(link.left, link.right) > line.left
+    )
+    .sort((a, b) => Math.min(a.left, a.right) - Math.min(b.left, b.right));
+
+  let html = "";
+  let position = 0;
+
+  for (const link of covering) {
+    const start = Math.max(
+      position,
+      getCharOffset(line, Math.min(link.left, link.right), false)
+    );
+    const end = getCharOffset(line, Math.max(link.left, link.right), true);
+    if (end <= start) continue;
+
+    html += escapeHtml(line.text.slice(position, start));
+    html += `<a href="${escapeHtml(getLinkHref(link.uri))}">${escapeHtml(
+      line.text.slice(start, end)
+    )}</a>`;
+    position = end;
+  }
+
+  return html + escapeHtml(line.text.slice(position));
+}
+
+/**
+ * Generates the semantic content of a compiled page: its headings (from the
+ * PDF outline), paragraphs (from gaps between text lines) and links
+ * @param {string} title Page title
+ * @param {Object} pdf Result from readPdf()
+ * @returns {string} HTML string, the children of the page's <article>
+ */
+export function generatePageContent(title, pdf) {
+  const headings = sortHeadings(pdf);
+  const blocks = [`<h1>${escapeHtml(title)}</h1>`];
+
+  let paragraph = [];
+  let heading = null;
+  let previous = null;
+  let nextHeading = 0;
+
+  const flush = () => {
+    if (paragraph.length > 0) {
+      blocks.push(`<p>${paragraph.join(" ")}</p>`);
+    }
+    paragraph = [];
+  };
+
+  pdf.pages.forEach((page, pageIndex) => {
+    previous = null;
+    flush();
+
+    for (const line of page.lines) {
+      while (
+        nextHeading < headings.length &&
+        isHeadingReached(headings[nextHeading], pageIndex, line)
+      ) {
+        flush();
+        heading = headings[nextHeading];
+        const level = Math.min(heading.level + 1, 6);
+        blocks.push(`<h${level}>${escapeHtml(heading.title)}</h${level}>`);
+        nextHeading++;
+      }
+
+      // Skip the heading's own text line, which the outline already gave us
+      if (heading && paragraph.length === 0 && line.text === heading.title) {
+        heading = null;
+        previous = line;
+        continue;
+      }
+      heading = null;
+
+      if (previous) {
+        const lineHeight = previous.top - previous.bottom;
+        if (previous.bottom - line.top > lineHeight * PARAGRAPH_GAP) {
+          flush();
+        }
+      }
+
+      paragraph.push(renderLine(line, page.links));
+      previous = line;
+    }
+  });
+  flush();
+
+  return blocks.join("\n          ");
+}
@@ -0,0 +1,273 @@
+/**
+ * Page stylesheets: @import resolution, minification and content-hashed files
+ */
+
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+const IMPORT_REGEX =
+  /@import\s+(?:url\(\s*(["']?)([^"')]+)\1\s*\)|(["'])([^"']+)\3)\s*([^;]*);/g;
+// An @import rule (groups 1-5, as in IMPORT_REGEX) or a url() (groups 6-7)
+const IMPORT_OR_URL_REGEX =
+  /@import\s+(?:url\(\s*(["']?)([^"')]+)\1\s*\)|(["'])([^"']+)\3)\s*([^;]*);|url\(\s*(["']?)([^"')]*)\6\s*\)/g;
+const CHARSET_REGEX = /@charset\s+["'][^"']*["']\s*;/gi;
+const LAYER_CONDITION_REGEX = /^layer(?:\(\s*([^)]*?)\s*\))?\s*/;
+const SUPPORTS_CONDITION_REGEX = /^supports\(((?:[^()]|\([^()]*\))*)\)\s*/;
+const STYLESHEETS_DIR = "assets/_css";
+const HASH_LENGTH = 12;
+
+// Whitespace next to these characters is never needed
+const NO_SPACE_BEFORE = /[{};,>~)]/;
+const NO_SPACE_AFTER = /[{};,:>~(]/;
+
+/**
+ * Checks if an @import target is a URL rather than a local file
+ * @param {string} target Import target
+ * @returns {boolean} True for absolute, protocol-relative and root-relative URLs
+ */
+function isRemoteImport(target) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith("/");
+}
+
+/**
+ * Rewrites a url() relative to a stylesheet to the URL of the file it points to
+ * @param {string} rule The url() token
+ * @param {string} target URL inside url()
+ * @param {string} filePath Path of the stylesheet
+ * @param {Function|null} resolveUrl Maps a file path to its URL in the build, or null if it is not in the build
+ * @returns {string} url() token
+ */
+function rebaseUrl(rule, target, filePath, resolveUrl) {
+  const url = target.trim();
+  if (!resolveUrl || url === "" || url.startsWith("#")) return rule;
+  if (isRemoteImport(url)) return rule;
+
+  const [, file, suffix] = url.match(/^([^?#]*)(.*)$/);
+  const resolved = resolveUrl(path.resolve(path.dirname(filePath), file));
+  if (resolved === null) {
+    console.warn(
+      `⚠ CSS url(${url}) in ${filePath} is not copied to the build; put the file in src/assets/`
+    );
+    return rule;
+  }
+
+  return `url("${(resolved + suffix).replace(/"/g, '\\"')}")`;
+}
+
+/**
+ * Wraps imported CSS in the conditions of its @import rule
+ * (`layer(..)`, `supports(..)` and media queries)
+ * @param {string} css Imported CSS
+ * @param {string} conditions Everything between the URL and the semicolon
+ * @returns {string} CSS string
+ */
+function wrapImportConditions(css, conditions) {
+  let rest = conditions.trim();
+  let wrapped = css;
+
+  const layer = rest.match(LAYER_CONDITION_REGEX);
+  if (layer) rest = rest.slice(layer[0].length);
+
+  const supports = rest.match(SUPPORTS_CONDITION_REGEX);
+  if (supports) rest = rest.slice(supports[0].length);
+
+  if (rest) wrapped = `@media ${rest.trim()} {\n${wrapped}\n}`;
+  if (supports) wrapped = `@supports (${supports[1]}) {\n${wrapped}\n}`;
+  if (layer) {
+    wrapped = `@layer${layer[1] ? ` ${layer[1]}` : ""} {\n${wrapped}\n}`;
+  }
+
+  return wrapped;
+}
+
+/**
+ * Inlines the local files a stylesheet imports with @import, recursively.
+ * URLs are left for the browser; missing and circular imports are dropped
+ * with a warning. Relative url()s are rewritten with resolveUrl, since the
+ * styles end up in a page or in assets/_css/, not next to their source.
+ * @param {string} css Stylesheet source
+ * @param {string} filePath Path of the stylesheet, local imports resolve against it
+ * @param {Object} options Options
+ * @param {Function|null} options.resolveUrl Maps a file path to its URL in the build, or null if it is not in the build
+ * @param {Set<string>} options.imports Receives the path of every local import, found or not
+ * @param {Set<string>} importing Files being inlined (for cycle detection)
+ * @returns {string} CSS string
+ */
+export function resolveCssImports(
+  css,
+  filePath,
+  { resolveUrl = null, imports = new Set() } = {},
+  importing = new Set()
+) {
+  const stack = new Set([...importing, path.resolve(filePath)]);
+
+  return css.replace(
+    IMPORT_OR_URL_REGEX,
+    (
+      rule,
+      urlQuote,
+      urlTarget,
+      quote,
+      stringTarget,
+      conditions,
+      valueQuote,
+      value
+    ) => {
+      if (value !== undefined) {
+        return rebaseUrl(rule, value, filePath, resolveUrl);
+      }
+
+      const target = (urlTarget || stringTarget).trim();
+      if (isRemoteImport(target)) return rule;
+
+      const importPath = path.resolve(path.dirname(filePath), target);
+      imports.add(importPath);
+      if (stack.has(importPath)) {
+        console.warn(
+          `⚠ Skipped circular CSS import of ${target} in ${filePath}`
+        );
+        return "";
+      }
+      if (!fs.existsSync(importPath)) {
+        console.warn(`⚠ CSS import not found: ${target} in ${filePath}`);
+        return "";
+      }
+
+      const imported = resolveCssImports(
+        fs.readFileSync(importPath, "utf-8"),
+        importPath,
+        { resolveUrl, imports },
+        stack
+      );
+      return wrapImportConditions(
+        imported.replace(CHARSET_REGEX, ""),
+        conditions
+      );
+    }
+  );
+}
+
+/**
+ * Minifies CSS: removes comments and whitespace that is not needed, and the
+ * last semicolon of each block. Strings are left as they are.
+ * @param {string} css CSS string
+ * @returns {string} Minified CSS
+ */
+export function minifyCss(css) {
+  let output = "";
+  let i = 0;
+
+  while (i < css.length) {
+    const char = css[i];
+
+    if (char === '"' || char === "'") {
+      let end = i + 1;
+      while (end < css.length && css[end] !== char) {
+        if (css[end] === "\\") end++;
+        end++;
+      }
+      output += css.slice(i, end + 1);
+      i = end + 1;
+      continue;
+    }
+
+    if (char === "/" && css[i + 1] === "*") {
+      const end = css.indexOf("*/", i + 2);
+      i = end === -1 ? css.length : end + 2;
+      continue;
+    }
+
+    if (/\s/.test(char)) {
+      while (i < css.length && /\s/.test(css[i])) i++;
+
+      const previous = output[output.length - 1];
+      const next = css[i];
+      if (
+        previous !== undefined &&
+        next !== undefined &&
+        !NO_SPACE_AFTER.test(previous) &&
+        !NO_SPACE_BEFORE.test(next) &&
+        !(next === "/" && css[i + 1] === "*")
+      ) {
+        output += " ";
+      }
+      continue;
+    }
+
+    if (char === "}" && output.endsWith(";")) {
+      output = output.slice(0, -1);
+    }
+    output += char;
+    i++;
+  }
+
+  return output;
+}
+
+/**
+ * Finishes a composed stylesheet: moves the @import rules left after
+ * resolveCssImports() to the top, where browsers require them, and
+ * optionally minifies it
+ * @param {string} css Composed CSS
+ * @param {Object} options Options
+ * @param {boolean} options.minify Whether to minify the result
+ * @returns {string} CSS string
+ */
+export function bundleCss(css, { minify = false } = {}) {
+  const imports = [];
+  const rules = css
+    .replace(CHARSET_REGEX, "")
+    .replace(IMPORT_REGEX, (rule) => {
+      imports.push(rule);
+      return "";
+    })
+    .trim();
+
+  const bundled = [...imports, rules].filter(Boolean).join("\n");
+  return minify ? minifyCss(bundled) : bundled;
+}
+
+/**
+ * Writes a stylesheet to the build output under a name derived from its
+ * content, so pages with the same styles share one cacheable file
+ * @param {string} css CSS string
+ * @param {string} outputDir Build output directory
+ * @returns {string} Stylesheet path relative to outputDir (e.g., 'assets/_css/3f2a9c0d1b4e.css')
+ */
+export function writeStylesheet(css, outputDir) {
+  const hash = crypto
+    .createHash("sha256")
+    .update(css)
+    .digest("hex")
+    .slice(0, HASH_LENGTH);
+  const relativePath = `${STYLESHEETS_DIR}/${hash}.css`;
+  const fullPath = path.join(outputDir, relativePath);
+
+  if (!fs.existsSync(fullPath)) {
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, css, "utf-8");
+  }
+
+  return relativePath;
+}
+
+/**
+ * Removes stylesheets written by earlier builds that no page links anymore
+ * @param {string} outputDir Build output directory
+ * @param {Set<string>} used Stylesheet paths from writeStylesheet() that are still linked
+ */
+export function removeUnusedStylesheets(outputDir, used) {
+  const dir = path.join(outputDir, STYLESHEETS_DIR);
+  if (!fs.existsSync(dir)) return;
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!used.has(`${STYLESHEETS_DIR}/${file}`)) {
+      fs.rmSync(path.join(dir, file), { force: true });
+    }
+  }
+
+  if (fs.readdirSync(dir).length === 0) {
+    fs.rmdirSync(dir);
+  }
+}
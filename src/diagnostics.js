@@ -0,0 +1,184 @@
+/**
+ * Typst diagnostics: parsing, source maps for composed documents and code frames
+ */
+
+import fs from "fs";
+import path from "path";
+
+const DIAGNOSTIC_REGEX = /^(error|warning):\s*(.*)$/;
+const LOCATION_REGEX = /^\s*┌─\s*(.+):(\d+):(\d+)\s*$/;
+const HINT_REGEX = /^\s*=\s*hint:\s*(.*)$/;
+const MARKER_REGEX = /│\s*(\^+)\s*$/;
+
+/**
+ * Counts the lines of a string
+ * @param {string} text Text
+ * @returns {number} Number of lines (at least 1)
+ */
+function countLines(text) {
+  return text.split("\n").length;
+}
+
+/**
+ * Creates a builder that concatenates generated Typst source while recording
+ * where each piece of an original file ends up
+ * @returns {Object} Builder { add(text), addFile(text, file, line, column), build() }
+ */
+export function createDocumentBuilder() {
+  let source = "";
+  const sourceMap = [];
+
+  return {
+    /**
+     * Appends generated text that does not come from a source file
+     * @param {string} text Generated text
+     */
+    add(text) {
+      source += text;
+    },
+
+    /**
+     * Appends text taken from a source file
+     * @param {string} text Text from the file
+     * @param {string} file File path relative to src (e.g., 'pages/blog/post.typ')
+     * @param {number} line Line in the file where text starts (1-based)
+     * @param {number} column Column in the file where text starts (0-based)
+     */
+    addFile(text, file, line = 1, column = 0) {
+      const lines = source.split("\n");
+      sourceMap.push({
+        line: lines.length,
+        column: lines[lines.length - 1].length,
+        lineCount: countLines(text),
+        file,
+        sourceLine: line,
+        sourceColumn: column,
+      });
+      source += text;
+    },
+
+    /**
+     * @returns {Object} { source, sourceMap }
+     */
+    build() {
+      return { source, sourceMap };
+    },
+  };
+}
+
+/**
+ * Maps a position in a composed document back to its source file
+ * @param {Array} sourceMap Source map from createDocumentBuilder()
+ * @param {number} line Line in the composed document (1-based)
+ * @param {number} column Column in the composed document (1-based)
+ * @returns {Object|null} { file, line, column } or null for generated code
+ */
+export function mapPosition(sourceMap, line, column) {
+  for (const segment of sourceMap) {
+    const offset = line - segment.line;
+    if (offset < 0 || offset >= segment.lineCount) continue;
+    if (offset === 0 && column <= segment.column) continue;
+
+    return {
+      file: segment.file,
+      line: segment.sourceLine + offset,
+      column:
+        offset === 0 ? column - segment.column + segment.sourceColumn : column,
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Parses Typst's stderr output into diagnostics
+ * @param {string} stderr Typst stderr output
+ * @returns {Array} Diagnostics [{ severity, message, file, line, column, length, hints, text }]
+ */
+export function parseDiagnostics(stderr) {
+  const diagnostics = [];
+
+  for (const line of stderr.split("\n")) {
+    const header = line.match(DIAGNOSTIC_REGEX);
+    if (header) {
+      diagnostics.push({
+        severity: header[1],
+        message: header[2],
+        file: null,
+        line: null,
+        column: null,
+        length: 1,
+        hints: [],
+        lines: [line],
+      });
+      continue;
+    }
+
+    const current = diagnostics[diagnostics.length - 1];
+    if (!current) continue;
+    current.lines.push(line);
+
+    const location = line.match(LOCATION_REGEX);
+    const hint = line.match(HINT_REGEX);
+    const marker = line.match(MARKER_REGEX);
+
+    if (location && current.file === null) {
+      current.file = location[1];
+      current.line = parseInt(location[2], 10);
+      current.column = parseInt(location[3], 10);
+    } else if (hint) {
+      current.hints.push(hint[1]);
+    } else if (marker && current.length === 1) {
+      current.length = marker[1].length;
+    }
+  }
+
+  return diagnostics.map(({ lines, ...diagnostic }) => ({
+    ...diagnostic,
+    text: lines.join("\n").trim(),
+  }));
+}
+
+/**
+ * Formats a diagnostic with a code frame from the file it points at
+ * @param {Object} diagnostic Diagnostic { severity, message, file, line, column, length, hints }
+ * @param {string} srcDir Directory the diagnostic's file is relative to
+ * @returns {string} Formatted diagnostic
+ */
+export function formatDiagnostic(diagnostic, srcDir) {
+  const output = [`${diagnostic.severity}: ${diagnostic.message}`];
+
+  if (diagnostic.file && diagnostic.line) {
+    const location = `${diagnostic.file}:${diagnostic.line}:${diagnostic.column}`;
+    const filePath = path.resolve(srcDir, diagnostic.file);
+    const lines = fs.existsSync(filePath)
+      ? fs.readFileSync(filePath, "utf-8").split("\n")
+      : [];
+    const gutter = String(diagnostic.line).length;
+    const pad = " ".repeat(gutter);
+
+    output.push(`${pad} ┌─ ${location}`);
+
+    if (diagnostic.line <= lines.length) {
+      output.push(`${pad} │`);
+
+      const first = Math.max(1, diagnostic.line - 1);
+      for (let number = first; number <= diagnostic.line; number++) {
+        output.push(
+          `${String(number).padStart(gutter)} │ ${lines[number - 1]}`.trimEnd()
+        );
+      }
+
+      const marker =
+        " ".repeat(Math.max(0, diagnostic.column - 1)) +
+        "^".repeat(Math.max(1, diagnostic.length));
+      output.push(`${pad} │ ${marker}`);
+    }
+  }
+
+  for (const hint of diagnostic.hints) {
+    output.push(`  = hint: ${hint}`);
+  }
+
+  return output.join("\n");
+}
@@ -0,0 +1,165 @@
+/**
+ * RSS 2.0 and Atom feed generation for pages subdirectories
+ */
+
+import { routeToUrl } from "./pipeline.js";
+import { escapeXml } from "./sitemap.js";
+
+const DEFAULT_FEED_LIMIT = 20;
+
+/**
+ * Normalizes the feeds config into a list of feed definitions
+ * @param {Object|Object[]|undefined} feeds Feeds config
+ * @returns {Object[]} Feed definitions { dir, title, description, author, limit }
+ */
+export function normalizeFeeds(feeds) {
+  if (!feeds) return [];
+
+  const list = Array.isArray(feeds) ? feeds : [feeds];
+
+  return list
+    .filter((feed) => feed && typeof feed.dir === "string")
+    .map((feed) => {
+      const dir = feed.dir.replace(/^\/+|\/+$/g, "");
+      return {
+        dir,
+        title: feed.title || dir || "Feed",
+        description: feed.description || "",
+        author: feed.author || null,
+        limit: feed.limit || DEFAULT_FEED_LIMIT,
+      };
+    });
+}
+
+/**
+ * Parses a date value from page metadata
+ * @param {string|Date|null} value Date value
+ * @returns {Date|null} Parsed date or null if invalid
+ */
+export function parseDate(value) {
+  if (!value) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Collects feed items for a feed from the built pages
+ * @param {Object} feed Feed definition from normalizeFeeds()
+ * @param {Array} builtPages Built page entries [{ pathArray, route, title, metadata, lastmod }]
+ * @returns {Array} Feed items sorted newest first and capped at feed.limit
+ */
+export function collectFeedItems(feed, builtPages) {
+  const dirParts = feed.dir === "" ? [] : feed.dir.split("/");
+
+  return builtPages
+    .filter((page) => {
+      const pageDir = page.pathArray.slice(0, -1);
+      if (pageDir.length < dirParts.length) return false;
+      if (!dirParts.every((part, i) => pageDir[i] === part)) return false;
+
+      const isFeedIndex =
+        pageDir.length === dirParts.length &&
+        page.pathArray[page.pathArray.length - 1] === "index.typ";
+      return !isFeedIndex;
+    })
+    .map((page) => ({
+      route: page.route,
+      title: page.title,
+      summary: page.metadata?.summary || page.metadata?.description || "",
+      date: parseDate(page.metadata?.date) || page.lastmod || new Date(0),
+    }))
+    .sort((a, b) => b.date - a.date)
+    .slice(0, feed.limit);
+}
+
+/**
+ * Generates RSS 2.0 feed content
+ * @param {Object} feed Feed definition from normalizeFeeds()
+ * @param {Array} items Feed items from collectFeedItems()
+ * @param {Object} options Options
+ * @param {string} options.siteUrl Site origin (e.g., 'https://example.com')
+ * @param {string} options.base Base path (default: '/')
+ * @returns {string} RSS XML
+ */
+export function generateRssFeed(feed, items, options = {}) {
+  const { siteUrl, base = "/" } = options;
+  const feedRoute = feed.dir === "" ? "/" : `/${feed.dir}/`;
+  const link = routeToUrl(feedRoute, base, siteUrl);
+  const selfLink = escapeXml(routeToUrl(`${feedRoute}feed.xml`, base, siteUrl));
+  const updated = items.length > 0 ? items[0].date : new Date();
+
+  const entries = items.map((item) => {
+    const url = routeToUrl(item.route, base, siteUrl);
+    let xml = "    <item>\n";
+    xml += `      <title>${escapeXml(item.title)}</title>\n`;
+    xml += `      <link>${escapeXml(url)}</link>\n`;
+    xml += `      <guid isPermaLink="true">${escapeXml(url)}</guid>\n`;
+    xml += `      <pubDate>${item.date.toUTCString()}</pubDate>\n`;
+    if (item.summary) {
+      xml += `      <description>${escapeXml(item.summary)}</description>\n`;
+    }
+    xml += "    </item>\n";
+    return xml;
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <atom:link href="${selfLink}" rel="self" type="application/rss+xml" />
+    <lastBuildDate>${updated.toUTCString()}</lastBuildDate>
+${entries.join("")}  </channel>
+</rss>
+`;
+}
+
+/**
+ * Generates Atom feed content
+ * @param {Object} feed Feed definition from normalizeFeeds()
+ * @param {Array} items Feed items from collectFeedItems()
+ * @param {Object} options Options
+ * @param {string} options.siteUrl Site origin (e.g., 'https://example.com')
+ * @param {string} options.base Base path (default: '/')
+ * @param {string} options.siteName Author name when the feed sets none (default: the feed title)
+ * @returns {string} Atom XML
+ */
+export function generateAtomFeed(feed, items, options = {}) {
+  const { siteUrl, base = "/", siteName = null } = options;
+  const feedRoute = feed.dir === "" ? "/" : `/${feed.dir}/`;
+  const link = routeToUrl(feedRoute, base, siteUrl);
+  const selfUrl = routeToUrl(`${feedRoute}atom.xml`, base, siteUrl);
+  const updated = items.length > 0 ? items[0].date : new Date();
+
+  const entries = items.map((item) => {
+    const url = routeToUrl(item.route, base, siteUrl);
+    let xml = "  <entry>\n";
+    xml += `    <title>${escapeXml(item.title)}</title>\n`;
+    xml += `    <id>${escapeXml(url)}</id>\n`;
+    xml += `    <link href="${escapeXml(url)}" />\n`;
+    xml += `    <updated>${item.date.toISOString()}</updated>\n`;
+    if (item.summary) {
+      xml += `    <summary>${escapeXml(item.summary)}</summary>\n`;
+    }
+    xml += "  </entry>\n";
+    return xml;
+  });
+
+  // Atom requires an author, for the feed or for every entry
+  const author = feed.author || siteName || feed.title;
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <id>${escapeXml(link)}</id>
+  <link href="${escapeXml(link)}" />
+  <link rel="self" href="${escapeXml(selfUrl)}" />
+  <updated>${updated.toISOString()}</updated>
+  <author>
+    <name>${escapeXml(author)}</name>
+  </author>
+${entries.join("")}</feed>
+`;
+}
@@ -0,0 +1,211 @@
+/**
+ * HTML helpers for generated viewer pages
+ */
+
+import { routeToUrl } from "./pipeline.js";
+import { slugify } from "./search.js";
+
+const TSSG_COPY_PREFIX = "tssg:copy:";
+const TSSG_SAMETAB_PREFIX = "tssg:sametab:";
+
+/**
+ * Escapes special characters for use in HTML text and attributes
+ * @param {string} value Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Serializes a value as a JavaScript literal for an inline <script>
+ * @param {any} value JSON-serializable value
+ * @returns {string} Literal that cannot close the script element
+ */
+export function toScriptValue(value) {
+  return JSON.stringify(value)
+    .replace(/</g, "\\u003c")
+    .replace(/\u2028/g, "\\u2028")
+    .replace(/\u2029/g, "\\u2029");
+}
+
+/**
+ * Resolves a possibly site-relative URL to an absolute one
+ * @param {string} url URL or path (e.g., 'assets/cover.png', '/assets/cover.png')
+ * @param {string} base Base path
+ * @param {string|null} siteUrl Site origin
+ * @returns {string} Resolved URL
+ */
+function resolveUrl(url, base, siteUrl) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) || url.startsWith("//")) {
+    return url;
+  }
+  return routeToUrl("/" + url.replace(/^\/+/, ""), base, siteUrl || "");
+}
+
+/**
+ * Generates SEO and social meta tags for a page
+ * @param {Object} page Page data
+ * @param {string} page.route Route string
+ * @param {string} page.title Page title
+ * @param {Object} page.metadata Page metadata (description, image, date, tags, canonical)
+ * @param {Object} site Site defaults
+ * @param {string} site.base Base path
+ * @param {string|null} site.siteUrl Site origin
+ * @param {Object} site.seo SEO defaults (siteName, description, image, twitterSite, twitterCard)
+ * @returns {string} Meta tags HTML, one tag per line
+ */
+export function generateMetaTags(page, site = {}) {
+  const metadata = page.metadata || {};
+  const seo = site.seo || {};
+  const base = site.base || "/";
+  const siteUrl = site.siteUrl || null;
+
+  const description = metadata.description || seo.description || "";
+  const image = metadata.image || seo.image || null;
+  const imageUrl = image ? resolveUrl(image, base, siteUrl) : null;
+
+  let canonical = null;
+  if (metadata.canonical) {
+    canonical = resolveUrl(metadata.canonical, base, siteUrl);
+  } else if (siteUrl) {
+    canonical = routeToUrl(page.route, base, siteUrl);
+  }
+
+  const tags = [];
+  const meta = (attr, key, content) => {
+    if (content === null || content === undefined || content === "") return;
+    tags.push(`<meta ${attr}="${key}" content="${escapeHtml(content)}" />`);
+  };
+
+  meta("name", "description", description);
+  if (canonical) {
+    tags.push(`<link rel="canonical" href="${escapeHtml(canonical)}" />`);
+  }
+
+  meta("property", "og:type", metadata.date ? "article" : "website");
+  meta("property", "og:title", page.title);
+  meta("property", "og:description", description);
+  meta("property", "og:url", canonical);
+  meta("property", "og:site_name", seo.siteName);
+  meta("property", "og:image", imageUrl);
+  if (metadata.date) {
+    meta("property", "article:published_time", metadata.date);
+  }
+  for (const tag of metadata.tags || []) {
+    meta("property", "article:tag", tag);
+  }
+
+  meta(
+    "name",
+    "twitter:card",
+    seo.twitterCard || (imageUrl ? "summary_large_image" : "summary")
+  );
+  meta("name", "twitter:title", page.title);
+  meta("name", "twitter:description", description);
+  meta("name", "twitter:image", imageUrl);
+  meta("name", "twitter:site", seo.twitterSite);
+
+  return tags.join("\n    ");
+}
+
+/**
+ * Decodes the entities Typst's HTML export uses in text
+ * @param {string} value HTML text
+ * @returns {string} Plain text
+ */
+export function decodeHtml(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Prepares the output of Typst's HTML export for the page shell: keeps the
+ * contents of <body>, gives headings ids for TOC and search links and
+ * applies the tssg link prefixes like the PDF viewer does
+ * @param {string} html HTML document from `typst compile --format html`
+ * @returns {string} Page body HTML
+ */
+export function prepareTypstHtml(html) {
+  const bodyMatch = html.match(/<body[^>]*>([\s\S]*)<\/body>/i);
+  const body = (bodyMatch ? bodyMatch[1] : html).trim();
+
+  return body
+    .replace(
+      /<h([1-6])>([\s\S]*?)<\/h\1>/g,
+      (_, level, content) =>
+        `<h${level} id="${escapeHtml(
+          slugify(decodeHtml(content.replace(/<[^>]*>/g, "")))
+        )}">${content}</h${level}>`
+    )
+    .replace(/<a href="([^"]*)"/g, (_, href) => {
+      if (href.startsWith(TSSG_COPY_PREFIX)) {
+        return `<a href="#" data-tssg-copy="${href.slice(
+          TSSG_COPY_PREFIX.length
+        )}"`;
+      }
+      if (href.startsWith(TSSG_SAMETAB_PREFIX)) {
+        return `<a href="${href.slice(TSSG_SAMETAB_PREFIX.length)}"`;
+      }
+      if (href.startsWith("#")) {
+        return `<a href="${href}"`;
+      }
+      return `<a href="${href}" target="_blank" rel="noopener noreferrer"`;
+    });
+}
+
+/**
+ * Reads the text of an HTML fragment, with block elements as word breaks
+ * @param {string} html HTML fragment
+ * @returns {string} Plain text on one line
+ */
+function htmlToText(html) {
+  return decodeHtml(
+    html
+      .replace(
+        /<\/?(?:p|div|br|li|ul|ol|table|tr|td|th|pre|blockquote|figure|figcaption)\b[^>]*>/gi,
+        " "
+      )
+      .replace(/<[^>]*>/g, "")
+  )
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Splits a page body from prepareTypstHtml() into search entries, one per
+ * section like buildSearchEntries() does for PDF pages
+ * @param {string} route Page route
+ * @param {string} title Page title
+ * @param {string} html Page body HTML from prepareTypstHtml()
+ * @returns {Array} Search entries [{ route, title, heading, id, text }]
+ */
+export function buildHtmlSearchEntries(route, title, html) {
+  // Odd parts are the headings, each followed by the text of its section
+  const parts = html.split(/(<h[1-6] id="[^"]*">[\s\S]*?<\/h[1-6]>)/);
+  const sections = [{ heading: null, id: "", text: htmlToText(parts[0]) }];
+
+  for (let i = 1; i < parts.length; i += 2) {
+    const [, id, content] = parts[i].match(
+      /^<h[1-6] id="([^"]*)">([\s\S]*)<\/h[1-6]>$/
+    );
+    sections.push({
+      heading: htmlToText(content),
+      id,
+      text: htmlToText(parts[i + 1]),
+    });
+  }
+
+  return sections
+    .filter((section) => section.heading || section.text)
+    .map((section) => ({ route, title, ...section }));
+}
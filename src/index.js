@@ -4,21 +4,35 @@ import { pathToFileURL } from "url";
 
 export { build } from "./build.js";
 export { dev } from "./server.js";
+export { checkLinks } from "./check.js";
 
 export { readTree, writeTree, walkTree, filterTree, mapTree } from "./tree.js";
 export {
   compileTypst,
+  queryTypst,
   checkTypstInstalled,
+  listTypstFonts,
   createTempDir,
   cleanupTempDir,
 } from "./typst-adapter.js";
 export {
   pathToRoute,
   routeToBuildPath,
+  routeToUrl,
   mapObject,
   mapValues,
   filterObject,
 } from "./pipeline.js";
+export { generateSitemap, generateRobots } from "./sitemap.js";
+export { generateRssFeed, generateAtomFeed } from "./feeds.js";
+export {
+  normalizeRedirects,
+  matchRedirect,
+  generateRedirectStub,
+  generateRedirectsFile,
+} from "./redirects.js";
+export { readPageMetadata, parsePageMetadata } from "./metadata.js";
+export { readPdf } from "./pdf.js";
 
 /**
  * Loads config from tssg.config.js
@@ -30,6 +44,8 @@ export async function loadConfig(rootPath = ".") {
     src: "./src",
     output: "./build",
     base: "/",
+    siteUrl: null,
+    lang: "en",
     defaultLayout: null,
     indexPage: "index.typ",
     layoutInheritance: "fallback",
@@ -0,0 +1,82 @@
+/**
+ * Machine-readable build manifest (manifest.json)
+ */
+
+import fs from "fs";
+import path from "path";
+
+const MANIFEST_VERSION = 1;
+
+/**
+ * Describes a generated file in the build output
+ * @param {string} outputDir Build output directory
+ * @param {string|null} relativePath File path relative to outputDir
+ * @returns {Object|null} { path, size } or null if the file does not exist
+ */
+export function describeArtifact(outputDir, relativePath) {
+  if (!relativePath) return null;
+
+  const fullPath = path.join(outputDir, relativePath);
+  if (!fs.existsSync(fullPath)) return null;
+
+  return {
+    path: relativePath.split(path.sep).join("/"),
+    size: fs.statSync(fullPath).size,
+  };
+}
+
+/**
+ * Creates a build manifest
+ * @param {Array} entries Route entries from finishPage()
+ * @param {Object} info Build info { typstVersion, base, duration, errors }
+ * @returns {Object} Manifest { version, generatedAt, typstVersion, base, duration, errors, routes }
+ */
+export function createBuildManifest(entries, info = {}) {
+  const routes = {};
+  for (const entry of [...entries].sort((a, b) =>
+    a.route.localeCompare(b.route)
+  )) {
+    routes[entry.route] = entry;
+  }
+
+  return {
+    version: MANIFEST_VERSION,
+    generatedAt: new Date().toISOString(),
+    typstVersion: info.typstVersion || null,
+    base: info.base || "/",
+    duration: info.duration ?? null,
+    errors: info.errors || [],
+    routes,
+  };
+}
+
+/**
+ * Writes the build manifest, replacing entries of the given routes in an existing manifest
+ * @param {string} manifestPath Path to manifest.json
+ * @param {Object} manifest Manifest from createBuildManifest()
+ * @param {string[]|null} routes Routes to replace (null: overwrite the whole manifest)
+ * @returns {Object} The written manifest
+ */
+export function writeBuildManifest(manifestPath, manifest, routes = null) {
+  let written = manifest;
+
+  if (routes && fs.existsSync(manifestPath)) {
+    try {
+      const existing = JSON.parse(fs.readFileSync(manifestPath, "utf-8"));
+      if (existing.version === MANIFEST_VERSION) {
+        const merged = { ...existing.routes };
+        for (const route of routes) delete merged[route];
+
+        written = createBuildManifest(
+          Object.values({ ...merged, ...manifest.routes }),
+          manifest
+        );
+      }
+    } catch {
+      written = manifest;
+    }
+  }
+
+  fs.writeFileSync(manifestPath, JSON.stringify(written, null, 2), "utf-8");
+  return written;
+}
@@ -0,0 +1,207 @@
+/**
+ * Page metadata extraction via `typst query`
+ */
+
+import { queryTypst } from "./typst-adapter.js";
+import { parseDiagnostics } from "./diagnostics.js";
+
+const METADATA_TYPE_PREFIX = "tssg-";
+const METADATA_HELPER_REGEX = /#page-(?:title|config|meta)\s*\(/;
+
+/**
+ * Default page metadata, used for any key the page does not set
+ */
+export const DEFAULT_PAGE_METADATA = Object.freeze({
+  title: null,
+  description: null,
+  date: null,
+  tags: [],
+  draft: false,
+  publishDate: null,
+  sidebar: true,
+  toc: true,
+  tocMinLevel: 1,
+  tocMaxLevel: 4,
+  output: "pdf",
+});
+
+/**
+ * Converts a Typst style key to camelCase (e.g., 'toc-min-level' -> 'tocMinLevel')
+ * @param {string} key Key to convert
+ * @returns {string} camelCase key
+ */
+function toCamelCase(key) {
+  return key.replace(/[-_]+([a-zA-Z0-9])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Normalizes a date value from Typst query output to an ISO date string
+ * @param {any} value Date as string, or serialized Typst datetime
+ * @returns {string|null} ISO date string (YYYY-MM-DD or full timestamp) or null
+ */
+function normalizeDate(value) {
+  if (value === null || value === undefined || value === "") return null;
+  if (typeof value !== "string") return null;
+
+  const datetimeMatch = value.match(
+    /datetime\(\s*year:\s*(\d+),\s*month:\s*(\d+),\s*day:\s*(\d+)/
+  );
+  if (datetimeMatch) {
+    const [, year, month, day] = datetimeMatch;
+    return `${year.padStart(4, "0")}-${month.padStart(2, "0")}-${day.padStart(
+      2,
+      "0"
+    )}`;
+  }
+
+  return value;
+}
+
+/**
+ * Normalizes a tags value to an array of strings
+ * @param {any} value Tags as array or comma separated string
+ * @returns {string[]} Tags
+ */
+function normalizeTags(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (typeof value === "string") {
+    return value
+      .split(",")
+      .map((tag) => tag.trim())
+      .filter(Boolean);
+  }
+  return [];
+}
+
+/**
+ * Checks if a queried metadata value was emitted by the util.typ helpers
+ * @param {any} value Value of a `metadata` element
+ * @returns {boolean} True for `tssg-*` entries
+ */
+function isPageMetadataEntry(value) {
+  return (
+    !!value &&
+    typeof value === "object" &&
+    !Array.isArray(value) &&
+    typeof value.type === "string" &&
+    value.type.startsWith(METADATA_TYPE_PREFIX)
+  );
+}
+
+/**
+ * Builds a page metadata object from queried metadata values.
+ * Recognizes `tssg-page-title`, `tssg-page-config` and `tssg-page-meta`
+ * entries (see util.typ); later entries override earlier ones.
+ * @param {Array} values Values of all `metadata` elements in the document
+ * @returns {Object} Page metadata
+ */
+export function parsePageMetadata(values = []) {
+  const metadata = { ...DEFAULT_PAGE_METADATA, tags: [] };
+
+  for (const value of values) {
+    if (!isPageMetadataEntry(value)) continue;
+
+    if (value.type === "tssg-page-title") {
+      if (value.title !== undefined && value.title !== null) {
+        metadata.title = String(value.title);
+      }
+      continue;
+    }
+
+    if (value.type !== "tssg-page-config" && value.type !== "tssg-page-meta") {
+      continue;
+    }
+
+    for (const [rawKey, rawValue] of Object.entries(value)) {
+      if (rawKey === "type") continue;
+      metadata[toCamelCase(rawKey)] = rawValue;
+    }
+  }
+
+  metadata.date = normalizeDate(metadata.date);
+  metadata.tags = normalizeTags(metadata.tags);
+  metadata.draft = metadata.draft === true;
+  metadata.publishDate = normalizeDate(metadata.publishDate);
+  metadata.sidebar = metadata.sidebar !== false;
+  metadata.toc = metadata.toc !== false;
+  metadata.tocMinLevel = parseInt(metadata.tocMinLevel, 10) || 1;
+  metadata.tocMaxLevel = parseInt(metadata.tocMaxLevel, 10) || 4;
+  metadata.output = metadata.output === "html" ? "html" : "pdf";
+
+  if (!metadata.description && typeof metadata.summary === "string") {
+    metadata.description = metadata.summary;
+  }
+
+  return metadata;
+}
+
+/**
+ * Reads page metadata by querying the composed document
+ * @param {Object} options Options
+ * @param {string} options.document Composed Typst document
+ * @param {string} options.workDir Working directory for the query
+ * @param {string | null} options.rootDir Root directory for Typst (optional)
+ * @param {string} options.inputName Input file name in workDir (default: 'input.typ')
+ * @param {Object} options.inputs Values passed as sys.inputs
+ * @param {string[]} options.fontPaths Additional font directories
+ * @param {boolean} options.ignoreSystemFonts Whether to leave out system fonts
+ * @param {string} options.name Page name for warnings (default: inputName)
+ * @returns {Promise<Object>} Page metadata, see parsePageMetadata()
+ * @throws {Error} With the query's `diagnostics` when it fails
+ */
+export async function readPageMetadata({
+  document,
+  workDir,
+  rootDir = null,
+  inputName = "input.typ",
+  inputs = {},
+  fontPaths = [],
+  ignoreSystemFonts = false,
+  name = inputName,
+}) {
+  const result = await queryTypst({
+    source: document,
+    selector: "metadata",
+    field: "value",
+    workDir,
+    rootDir,
+    inputName,
+    inputs,
+    fontPaths,
+    ignoreSystemFonts,
+  });
+
+  if (!result.success) {
+    const error = new Error(`Failed to read page metadata: ${result.error}`);
+    error.diagnostics = parseDiagnostics(result.error);
+    throw error;
+  }
+
+  // A util.typ from before metadata was queried defines the helpers
+  // without emitting anything
+  if (
+    !result.results.some(isPageMetadataEntry) &&
+    METADATA_HELPER_REGEX.test(document)
+  ) {
+    console.warn(
+      `⚠ ${name}: calls page-title/page-config but no page metadata was found; update util.typ to the current version`
+    );
+  }
+
+  return parsePageMetadata(result.results);
+}
+
+/**
+ * Checks if a page is published: not a draft and not scheduled for later
+ * @param {Object} metadata Page metadata from parsePageMetadata()
+ * @param {Date} now Current time
+ * @returns {boolean} True if the page is published
+ */
+export function isPagePublished(metadata, now = new Date()) {
+  if (!metadata) return true;
+  if (metadata.draft) return false;
+  if (!metadata.publishDate) return true;
+
+  const publishDate = new Date(metadata.publishDate);
+  return isNaN(publishDate) || publishDate <= now;
+}
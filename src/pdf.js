@@ -0,0 +1,334 @@
+/**
+ * Reads text and structure from compiled PDFs using PDFium (WebAssembly)
+ */
+
+import fs from "fs";
+import { createRequire } from "module";
+
+const require = createRequire(import.meta.url);
+
+const PDFACTION_URI = 3;
+
+let pdfiumPromise = null;
+
+/**
+ * Loads and initializes the PDFium module once per process
+ * @returns {Promise<Object>} Initialized PDFium module
+ */
+async function loadPdfium() {
+  if (!pdfiumPromise) {
+    pdfiumPromise = (async () => {
+      const { init } = await import("@embedpdf/pdfium");
+      const wasmBinary = fs.readFileSync(
+        require.resolve("@embedpdf/pdfium/pdfium.wasm")
+      );
+      const pdfium = await init({ wasmBinary });
+      pdfium.PDFiumExt_Init();
+      return pdfium;
+    })();
+  }
+
+  return pdfiumPromise;
+}
+
+/**
+ * Reads a UTF-16LE string from PDFium memory
+ * @param {Object} pdfium PDFium module
+ * @param {number} ptr Buffer pointer
+ * @param {number} byteLength Number of bytes, including the terminator
+ * @returns {string} Decoded string
+ */
+function readUtf16(pdfium, ptr, byteLength) {
+  if (byteLength <= 2) return "";
+  const bytes = new Uint8Array(
+    pdfium.pdfium.HEAPU8.buffer,
+    pdfium.pdfium.HEAPU8.byteOffset + ptr,
+    byteLength - 2
+  );
+  return new TextDecoder("utf-16le").decode(bytes);
+}
+
+/**
+ * Reads the location of a destination
+ * @param {Object} pdfium PDFium module
+ * @param {number} docPtr Document pointer
+ * @param {number} dest Destination pointer
+ * @returns {Object} { pageIndex: number, y: number|null }
+ */
+function readDest(pdfium, docPtr, dest) {
+  const pageIndex = pdfium.FPDFDest_GetDestPageIndex(docPtr, dest);
+
+  const hasXPtr = pdfium.pdfium._malloc(4);
+  const hasYPtr = pdfium.pdfium._malloc(4);
+  const hasZoomPtr = pdfium.pdfium._malloc(4);
+  const xPtr = pdfium.pdfium._malloc(4);
+  const yPtr = pdfium.pdfium._malloc(4);
+  const zoomPtr = pdfium.pdfium._malloc(4);
+
+  let y = null;
+  if (
+    pdfium.FPDFDest_GetLocationInPage(
+      dest,
+      hasXPtr,
+      hasYPtr,
+      hasZoomPtr,
+      xPtr,
+      yPtr,
+      zoomPtr
+    ) &&
+    pdfium.pdfium.HEAP32[hasYPtr >> 2]
+  ) {
+    y = pdfium.pdfium.HEAPF32[yPtr >> 2];
+  }
+
+  for (const ptr of [hasXPtr, hasYPtr, hasZoomPtr, xPtr, yPtr, zoomPtr]) {
+    pdfium.pdfium._free(ptr);
+  }
+
+  return { pageIndex, y };
+}
+
+/**
+ * Reads the document outline (bookmarks), depth-first
+ * @param {Object} pdfium PDFium module
+ * @param {number} docPtr Document pointer
+ * @returns {Array} Outline entries [{ title, level, pageIndex, y }]
+ */
+function readOutline(pdfium, docPtr) {
+  const outline = [];
+  const titleBufferSize = 1024;
+  const titleBufferPtr = pdfium.pdfium._malloc(titleBufferSize);
+
+  function walk(parent, level) {
+    let bookmark = pdfium.FPDFBookmark_GetFirstChild(docPtr, parent);
+
+    while (bookmark) {
+      const titleLength = pdfium.FPDFBookmark_GetTitle(
+        bookmark,
+        titleBufferPtr,
+        titleBufferSize
+      );
+      const title = readUtf16(
+        pdfium,
+        titleBufferPtr,
+        Math.min(titleLength, titleBufferSize)
+      ).trim();
+
+      const dest = pdfium.FPDFBookmark_GetDest(docPtr, bookmark);
+      const location = dest
+        ? readDest(pdfium, docPtr, dest)
+        : { pageIndex: -1, y: null };
+
+      outline.push({ title, level, ...location });
+      walk(bookmark, level + 1);
+
+      bookmark = pdfium.FPDFBookmark_GetNextSibling(docPtr, bookmark);
+    }
+  }
+
+  walk(0, 1);
+  pdfium.pdfium._free(titleBufferPtr);
+
+  return outline;
+}
+
+/**
+ * Reads the text lines of a page, top to bottom
+ * @param {Object} pdfium PDFium module
+ * @param {number} pagePtr Page pointer
+ * @returns {Array} Lines [{ text, left, top, right, bottom }] in PDF coordinates
+ */
+function readTextLines(pdfium, pagePtr) {
+  const textPagePtr = pdfium.FPDFText_LoadPage(pagePtr);
+  if (!textPagePtr) return [];
+
+  const runs = [];
+  const charCount = pdfium.FPDFText_CountChars(textPagePtr);
+  const rectCount =
+    charCount > 0 ? pdfium.FPDFText_CountRects(textPagePtr, 0, charCount) : 0;
+
+  const leftPtr = pdfium.pdfium._malloc(8);
+  const topPtr = pdfium.pdfium._malloc(8);
+  const rightPtr = pdfium.pdfium._malloc(8);
+  const bottomPtr = pdfium.pdfium._malloc(8);
+  const textBufferSize = 4096;
+  const textBufferPtr = pdfium.pdfium._malloc(textBufferSize * 2);
+
+  for (let i = 0; i < rectCount; i++) {
+    if (
+      !pdfium.FPDFText_GetRect(
+        textPagePtr,
+        i,
+        leftPtr,
+        topPtr,
+        rightPtr,
+        bottomPtr
+      )
+    ) {
+      continue;
+    }
+
+    const left = pdfium.pdfium.HEAPF64[leftPtr >> 3];
+    const top = pdfium.pdfium.HEAPF64[topPtr >> 3];
+    const right = pdfium.pdfium.HEAPF64[rightPtr >> 3];
+    const bottom = pdfium.pdfium.HEAPF64[bottomPtr >> 3];
+
+    const textLength = pdfium.FPDFText_GetBoundedText(
+      textPagePtr,
+      left,
+      top,
+      right,
+      bottom,
+      textBufferPtr,
+      textBufferSize
+    );
+    if (textLength <= 0) continue;
+
+    const text = readUtf16(pdfium, textBufferPtr, textLength * 2);
+    if (!text.trim()) continue;
+
+    runs.push({ text, left, top, right, bottom });
+  }
+
+  pdfium.pdfium._free(textBufferPtr);
+  pdfium.pdfium._free(leftPtr);
+  pdfium.pdfium._free(topPtr);
+  pdfium.pdfium._free(rightPtr);
+  pdfium.pdfium._free(bottomPtr);
+  pdfium.FPDFText_ClosePage(textPagePtr);
+
+  const lines = [];
+  for (const run of runs) {
+    const line = lines.find(
+      (candidate) =>
+        Math.abs(candidate.bottom - run.bottom) <
+        Math.min(candidate.top - candidate.bottom, run.top - run.bottom) / 2
+    );
+
+    if (line) {
+      const separator = run.left - line.right > 1 ? " " : "";
+      if (run.left >= line.right) {
+        line.text = line.text + separator + run.text;
+      } else {
+        line.text = run.text + separator + line.text;
+      }
+      line.left = Math.min(line.left, run.left);
+      line.right = Math.max(line.right, run.right);
+      line.top = Math.max(line.top, run.top);
+      line.bottom = Math.min(line.bottom, run.bottom);
+    } else {
+      lines.push({ ...run });
+    }
+  }
+
+  return lines
+    .map((line) => ({ ...line, text: line.text.replace(/\s+/g, " ").trim() }))
+    .sort((a, b) => b.top - a.top || a.left - b.left);
+}
+
+/**
+ * Reads the URI link annotations of a page
+ * @param {Object} pdfium PDFium module
+ * @param {number} docPtr Document pointer
+ * @param {number} pagePtr Page pointer
+ * @returns {Array} Links [{ uri, left, top, right, bottom }] in PDF coordinates
+ */
+function readLinks(pdfium, docPtr, pagePtr) {
+  const links = [];
+
+  const posPtr = pdfium.pdfium._malloc(4);
+  const linkPtr = pdfium.pdfium._malloc(4);
+  const rectPtr = pdfium.pdfium._malloc(16);
+  const uriBufferSize = 4096;
+  const uriBufferPtr = pdfium.pdfium._malloc(uriBufferSize);
+
+  pdfium.pdfium.HEAP32[posPtr >> 2] = 0;
+
+  while (pdfium.FPDFLink_Enumerate(pagePtr, posPtr, linkPtr)) {
+    const link = pdfium.pdfium.HEAP32[linkPtr >> 2];
+    if (!link) break;
+
+    const action = pdfium.FPDFLink_GetAction(link);
+    if (!action || pdfium.FPDFAction_GetType(action) !== PDFACTION_URI) {
+      continue;
+    }
+
+    const uriLength = pdfium.FPDFAction_GetURIPath(
+      docPtr,
+      action,
+      uriBufferPtr,
+      uriBufferSize
+    );
+    if (uriLength <= 1) continue;
+
+    const uri = new TextDecoder().decode(
+      new Uint8Array(
+        pdfium.pdfium.HEAPU8.buffer,
+        pdfium.pdfium.HEAPU8.byteOffset + uriBufferPtr,
+        Math.min(uriLength, uriBufferSize) - 1
+      )
+    );
+
+    let rect = { left: 0, top: 0, right: 0, bottom: 0 };
+    if (pdfium.FPDFLink_GetAnnotRect(link, rectPtr)) {
+      rect = {
+        left: pdfium.pdfium.HEAPF32[(rectPtr >> 2) + 0],
+        top: pdfium.pdfium.HEAPF32[(rectPtr >> 2) + 1],
+        right: pdfium.pdfium.HEAPF32[(rectPtr >> 2) + 2],
+        bottom: pdfium.pdfium.HEAPF32[(rectPtr >> 2) + 3],
+      };
+    }
+
+    links.push({ uri, ...rect });
+  }
+
+  pdfium.pdfium._free(uriBufferPtr);
+  pdfium.pdfium._free(rectPtr);
+  pdfium.pdfium._free(linkPtr);
+  pdfium.pdfium._free(posPtr);
+
+  return links;
+}
+
+/**
+ * Reads text lines, links and outline from a PDF file
+ * @param {string} pdfPath Path to the PDF file
+ * @returns {Promise<Object>} { pages: [{ width, height, lines, links }], outline }
+ */
+export async function readPdf(pdfPath) {
+  const pdfium = await loadPdfium();
+  const pdfData = fs.readFileSync(pdfPath);
+
+  const filePtr = pdfium.pdfium._malloc(pdfData.length);
+  pdfium.pdfium.HEAPU8.set(pdfData, filePtr);
+  const docPtr = pdfium.FPDF_LoadMemDocument(filePtr, pdfData.length, "");
+
+  if (!docPtr) {
+    pdfium.pdfium._free(filePtr);
+    throw new Error(`Failed to load PDF: ${pdfPath}`);
+  }
+
+  try {
+    const pages = [];
+    const pageCount = pdfium.FPDF_GetPageCount(docPtr);
+
+    for (let i = 0; i < pageCount; i++) {
+      const pagePtr = pdfium.FPDF_LoadPage(docPtr, i);
+      if (!pagePtr) continue;
+
+      pages.push({
+        width: pdfium.FPDF_GetPageWidthF(pagePtr),
+        height: pdfium.FPDF_GetPageHeightF(pagePtr),
+        lines: readTextLines(pdfium, pagePtr),
+        links: readLinks(pdfium, docPtr, pagePtr),
+      });
+
+      pdfium.FPDF_ClosePage(pagePtr);
+    }
+
+    return { pages, outline: readOutline(pdfium, docPtr) };
+  } finally {
+    pdfium.FPDF_CloseDocument(docPtr);
+    pdfium.pdfium._free(filePtr);
+  }
+}
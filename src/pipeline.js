@@ -100,3 +100,22 @@ export function routeToBuildPath(route) {
     htmlPath: cleanRoute + "/index.html",
   };
 }
+
+/**
+ * Converts route to a URL under the site base path
+ * @param {string} route Route string (e.g., '/blog/post/')
+ * @param {string} base Base path (e.g., '/docs/')
+ * @param {string} siteUrl Site origin, optional (e.g., 'https://example.com')
+ * @returns {string} URL (e.g., 'https://example.com/docs/blog/post/')
+ */
+export function routeToUrl(route, base = "/", siteUrl = "") {
+  const cleanBase = (base || "/").replace(/^\/+|\/+$/g, "");
+  const basePath = cleanBase === "" ? "" : "/" + cleanBase;
+  let origin = siteUrl ? siteUrl.replace(/\/+$/, "") : "";
+
+  if (basePath && origin.endsWith(basePath)) {
+    origin = origin.slice(0, -basePath.length);
+  }
+
+  return origin + basePath + route;
+}
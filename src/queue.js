@@ -0,0 +1,46 @@
+/**
+ * Work queue for running async tasks with bounded concurrency
+ */
+
+/**
+ * Creates a work queue that runs at most `concurrency` tasks at once,
+ * starting queued tasks in order as soon as a slot is free
+ * @param {number} concurrency Maximum number of tasks running at once
+ * @returns {Object} Queue { run(task): Promise, concurrency }
+ */
+export function createWorkQueue(concurrency = 1) {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const pending = [];
+  let active = 0;
+
+  function next() {
+    while (active < limit && pending.length > 0) {
+      const { task, resolve, reject } = pending.shift();
+      active++;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          next();
+        });
+    }
+  }
+
+  return {
+    concurrency: limit,
+
+    /**
+     * Queues a task
+     * @param {Function} task Function returning a value or promise
+     * @returns {Promise<any>} Resolves or rejects with the task's result
+     */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        pending.push({ task, resolve, reject });
+        next();
+      });
+    },
+  };
+}
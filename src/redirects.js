@@ -0,0 +1,145 @@
+/**
+ * Redirect rules: stub pages, host `_redirects` files and route matching
+ */
+
+import { routeToUrl } from "./pipeline.js";
+import { escapeHtml } from "./html.js";
+
+const DEFAULT_STATUS = 301;
+
+/**
+ * Checks if a redirect target is an absolute URL rather than a route
+ * @param {string} target Redirect target
+ * @returns {boolean} True if target is an absolute URL
+ */
+function isExternalUrl(target) {
+  return /^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith("//");
+}
+
+/**
+ * Normalizes a route to the form used by the builder ('/old' -> '/old/')
+ * @param {string} route Route or path
+ * @returns {string} Normalized route
+ */
+function normalizeRoute(route) {
+  let normalized = "/" + route.replace(/^\/+/, "");
+  const lastSegment = normalized.split("/").pop();
+
+  if (!normalized.endsWith("/") && !normalized.endsWith("*")) {
+    if (!lastSegment.includes(".")) normalized += "/";
+  }
+
+  return normalized;
+}
+
+/**
+ * Normalizes redirects config to a list of rules
+ * @param {Array|Object} redirects Rules [{ from, to, status }] or a { from: to } map
+ * @returns {Array} Rules [{ from, to, status, wildcard }]
+ */
+export function normalizeRedirects(redirects) {
+  if (!redirects) return [];
+
+  const list = Array.isArray(redirects)
+    ? redirects
+    : Object.entries(redirects).map(([from, to]) =>
+        typeof to === "string" ? { from, to } : { from, ...to }
+      );
+
+  return list
+    .filter(
+      (rule) =>
+        rule && typeof rule.from === "string" && typeof rule.to === "string"
+    )
+    .map((rule) => {
+      const from = normalizeRoute(rule.from);
+      return {
+        from,
+        to: isExternalUrl(rule.to) ? rule.to : normalizeRoute(rule.to),
+        status: rule.status === 302 ? 302 : DEFAULT_STATUS,
+        wildcard: from.endsWith("*"),
+      };
+    });
+}
+
+/**
+ * Finds the redirect rule matching a route
+ * @param {string} route Requested route or path (e.g., '/old/page/')
+ * @param {Array} rules Rules from normalizeRedirects()
+ * @param {Set<string>} pageRoutes Routes of built pages, which no rule redirects
+ * @returns {Object|null} { to, status } with '*' in `to` replaced by the matched rest, or null
+ */
+export function matchRedirect(route, rules, pageRoutes = new Set()) {
+  const normalized = normalizeRoute(route);
+  if (pageRoutes.has(normalized)) return null;
+
+  for (const rule of rules) {
+    if (rule.wildcard) {
+      const prefix = rule.from.slice(0, -1);
+      if (normalized.startsWith(prefix)) {
+        const splat = normalized.slice(prefix.length);
+        return { to: rule.to.replace("*", splat), status: rule.status };
+      }
+    } else if (normalized === rule.from) {
+      return { to: rule.to, status: rule.status };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Resolves a redirect target to a URL, prefixing routes with base
+ * @param {string} target Route or absolute URL
+ * @param {string} base Base path
+ * @returns {string} Target URL
+ */
+export function resolveRedirectTarget(target, base = "/") {
+  return isExternalUrl(target) ? target : routeToUrl(target, base);
+}
+
+/**
+ * Generates an HTML page that redirects to another URL with meta refresh and JS
+ * @param {string} targetUrl Target URL
+ * @returns {string} Redirect page HTML
+ */
+export function generateRedirectStub(targetUrl) {
+  const href = escapeHtml(targetUrl);
+  const script = JSON.stringify(targetUrl).replace(/</g, "\\u003c");
+
+  return `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="UTF-8" />
+    <title>Redirecting...</title>
+    <meta name="robots" content="noindex" />
+    <link rel="canonical" href="${href}" />
+    <meta http-equiv="refresh" content="0; url=${href}" />
+    <script>
+      window.location.replace(${script} + window.location.hash);
+    </script>
+  </head>
+  <body>
+    <p>Redirecting to <a href="${href}">${href}</a>...</p>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Generates a `_redirects` file (Netlify, Cloudflare Pages)
+ * @param {Array} rules Rules from normalizeRedirects()
+ * @param {string} base Base path
+ * @returns {string} File content, one rule per line
+ */
+export function generateRedirectsFile(rules, base = "/") {
+  return (
+    rules
+      .map((rule) => {
+        const from = routeToUrl(rule.from, base);
+        const to = resolveRedirectTarget(rule.to, base).replace("*", ":splat");
+        return `${from} ${to} ${rule.status}`;
+      })
+      .join("\n") + "\n"
+  );
+}
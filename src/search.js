@@ -0,0 +1,119 @@
+/**
+ * Site-wide search index generation from compiled page text
+ */
+
+import fs from "fs";
+
+/**
+ * Converts heading text to a URL fragment id
+ * (must match slugify() in templates/viewer.js)
+ * @param {string} text Heading text
+ * @returns {string} Fragment id (e.g., 'Getting Started' -> 'getting-started')
+ */
+export function slugify(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^\w-]/g, "");
+}
+
+/**
+ * Lists the headings of a PDF's outline in reading order
+ * @param {Object} pdf Result from readPdf()
+ * @returns {Array} Outline entries [{ title, level, pageIndex, y }] that point into the document
+ */
+export function sortHeadings(pdf) {
+  return pdf.outline
+    .filter((entry) => entry.pageIndex >= 0)
+    .sort(
+      (a, b) =>
+        a.pageIndex - b.pageIndex || (b.y ?? Infinity) - (a.y ?? Infinity)
+    );
+}
+
+/**
+ * Checks if reading has reached a heading at a text line
+ * @param {Object} heading Outline entry from sortHeadings()
+ * @param {number} pageIndex Index of the line's page
+ * @param {Object} line Text line from readPdf()
+ * @returns {boolean} True if the heading starts at or before the line
+ */
+export function isHeadingReached(heading, pageIndex, line) {
+  return (
+    heading.pageIndex < pageIndex ||
+    (heading.pageIndex === pageIndex &&
+      (heading.y === null || line.top <= heading.y + 1))
+  );
+}
+
+/**
+ * Splits the text of a compiled page into search entries, one per section
+ * @param {string} route Page route
+ * @param {string} title Page title
+ * @param {Object} pdf Result from readPdf()
+ * @returns {Array} Search entries [{ route, title, heading, id, text }]
+ */
+export function buildSearchEntries(route, title, pdf) {
+  const headings = sortHeadings(pdf);
+
+  const sections = [{ heading: null, id: "", lines: [] }];
+  let nextHeading = 0;
+
+  pdf.pages.forEach((page, pageIndex) => {
+    for (const line of page.lines) {
+      while (nextHeading < headings.length) {
+        const heading = headings[nextHeading];
+        if (!isHeadingReached(heading, pageIndex, line)) break;
+
+        sections.push({
+          heading: heading.title,
+          id: slugify(heading.title),
+          lines: [],
+        });
+        nextHeading++;
+      }
+
+      const section = sections[sections.length - 1];
+      if (section.lines.length === 0 && line.text === section.heading) {
+        continue;
+      }
+      section.lines.push(line.text);
+    }
+  });
+
+  return sections
+    .filter((section) => section.heading || section.lines.length > 0)
+    .map((section) => ({
+      route,
+      title,
+      heading: section.heading,
+      id: section.id,
+      text: section.lines.join(" "),
+    }));
+}
+
+/**
+ * Writes the search index, replacing entries of the given routes in an existing index
+ * @param {string} indexPath Path to search-index.json
+ * @param {Array} entries New search entries
+ * @param {string[]|null} routes Routes to replace (null: overwrite the whole index)
+ */
+export function writeSearchIndex(indexPath, entries, routes = null) {
+  let index = [];
+
+  if (routes && fs.existsSync(indexPath)) {
+    try {
+      index = JSON.parse(fs.readFileSync(indexPath, "utf-8")).filter(
+        (entry) => !routes.includes(entry.route)
+      );
+    } catch {
+      index = [];
+    }
+  }
+
+  index.push(...entries);
+  index.sort((a, b) => a.route.localeCompare(b.route));
+
+  fs.writeFileSync(indexPath, JSON.stringify(index), "utf-8");
+}
@@ -4,6 +4,12 @@ import path from "path";
 import chokidar from "chokidar";
 import { build, buildIncremental } from "./build.js";
 import { loadConfig } from "./index.js";
+import { formatDiagnostic } from "./diagnostics.js";
+import {
+  normalizeRedirects,
+  matchRedirect,
+  resolveRedirectTarget,
+} from "./redirects.js";
 
 /**
  * Starts development server with file watching and hot rebuild
@@ -25,6 +31,8 @@ export async function dev(options = {}) {
       root: config.root,
       output: config.output,
       clean: true,
+      drafts: true,
+      mode: "development",
       verbose: config.verbose,
     });
 
@@ -44,16 +52,19 @@ export async function dev(options = {}) {
     process.exit(1);
   }
 
+  const userConfig = await loadConfig(config.root);
+
   const server = startServer({
     root: config.output,
     port: config.port,
     host: config.host,
+    base: userConfig.base,
+    redirects: userConfig.redirects,
   });
 
   console.log(`✓ Server running at http://${config.host}:${config.port}`);
   console.log("✓ Watching for changes...\n");
 
-  const userConfig = await loadConfig(config.root);
   const srcDir = path.resolve(config.root, userConfig.src || "./src");
   const watchPaths = [srcDir];
 
@@ -64,6 +75,8 @@ export async function dev(options = {}) {
       const result = await buildIncremental(changedPath, {
         root: config.root,
         output: config.output,
+        drafts: true,
+        mode: "development",
         verbose: config.verbose,
       });
 
@@ -86,9 +99,18 @@ export async function dev(options = {}) {
       } else {
         console.error("✗ Rebuild failed");
         result.errors.forEach((err) => console.error(`  ${err}`));
+
+        server.notifyError({
+          errors: result.errors,
+          diagnostics: result.diagnostics.map((diagnostic) => ({
+            ...diagnostic,
+            frame: formatDiagnostic(diagnostic, srcDir),
+          })),
+        });
       }
     } catch (error) {
       console.error("✗ Rebuild failed:", error.message);
+      server.notifyError({ errors: [error.message], diagnostics: [] });
     }
   }, 100);
 
@@ -119,11 +141,30 @@ export function startServer(options = {}) {
     root: options.root || "./build",
     port: options.port || 3000,
     host: options.host || "localhost",
+    base: options.base || "/",
+    redirects: normalizeRedirects(options.redirects),
   };
 
   const reloadClients = [];
+  let lastBuildError = null;
+
+  const writeBuildError = (client) => {
+    client.write(
+      `event: build-error\ndata: ${JSON.stringify(lastBuildError)}\n\n`
+    );
+  };
 
   const send404 = (res) => {
+    const errorPagePath = path.join(config.root, "404.html");
+    if (fs.existsSync(errorPagePath)) {
+      res.writeHead(404, {
+        "Content-Type": "text/html",
+        "Cache-Control": "no-cache",
+      });
+      fs.createReadStream(errorPagePath).pipe(res);
+      return;
+    }
+
     res.writeHead(404, { "Content-Type": "text/plain" });
     res.end("404 Not Found");
   };
@@ -138,6 +179,11 @@ export function startServer(options = {}) {
 
       reloadClients.push(res);
 
+      // Clients that (re)connect while the last rebuild is broken still see it
+      if (lastBuildError) {
+        writeBuildError(res);
+      }
+
       req.on("close", () => {
         const index = reloadClients.indexOf(res);
         if (index !== -1) {
@@ -148,6 +194,13 @@ export function startServer(options = {}) {
       return;
     }
 
+    const redirect = findRedirect(req.url, config);
+    if (redirect) {
+      res.writeHead(redirect.status, { Location: redirect.location });
+      res.end();
+      return;
+    }
+
     let filePath = path.join(config.root, req.url);
 
     if (filePath.endsWith("/") || filePath.endsWith("\\")) {
@@ -197,14 +250,80 @@ export function startServer(options = {}) {
   server.listen(config.port, config.host);
 
   server.notifyReload = () => {
+    lastBuildError = null;
     reloadClients.forEach((client) => {
       client.write("data: reload\n\n");
     });
   };
 
+  /**
+   * Sends a failed rebuild to connected viewers, which show it in an overlay
+   * until the next reload
+   * @param {Object} event Build error { errors: string[], diagnostics: Array }
+   */
+  server.notifyError = (event) => {
+    lastBuildError = event;
+    reloadClients.forEach(writeBuildError);
+  };
+
   return server;
 }
 
+/**
+ * Finds the redirect rule for a request URL
+ * @param {string} url Request URL
+ * @param {Object} config Server configuration with base and normalized redirects
+ * @returns {Object|null} { status, location } or null
+ */
+function findRedirect(url, config) {
+  if (config.redirects.length === 0) return null;
+
+  let pathname;
+  try {
+    pathname = decodeURIComponent(new URL(url, "http://localhost").pathname);
+  } catch {
+    // Malformed URLs match no rule
+    return null;
+  }
+  const basePath = "/" + config.base.replace(/^\/+|\/+$/g, "");
+  let route = pathname;
+  if (basePath !== "/") {
+    if (!pathname.startsWith(basePath + "/") && pathname !== basePath) {
+      return null;
+    }
+    route = pathname.slice(basePath.length) || "/";
+  }
+
+  // Like the build, rules never shadow a built page
+  const match = matchRedirect(
+    route,
+    config.redirects,
+    readBuiltRoutes(config.root)
+  );
+  if (!match) return null;
+
+  return {
+    status: match.status,
+    location: resolveRedirectTarget(match.to, config.base),
+  };
+}
+
+/**
+ * Reads the routes of the built pages from the build manifest
+ * @param {string} root Build output directory
+ * @returns {Set<string>} Routes, empty if there is no readable manifest
+ */
+function readBuiltRoutes(root) {
+  try {
+    const manifest = JSON.parse(
+      fs.readFileSync(path.join(root, "manifest.json"), "utf-8")
+    );
+    return new Set(Object.keys(manifest.routes || {}));
+  } catch {
+    return new Set();
+  }
+}
+
 /**
  * Watches files for changes
  */
@@ -215,6 +334,7 @@ export function watchFiles(options = {}, onChange) {
       "**/node_modules/**",
       "**/.git/**",
       "**/build/**",
+      "**/.tssg-cache/**",
     ],
   };
 
@@ -0,0 +1,106 @@
+/**
+ * Sitemap and robots.txt generation from the built route table
+ */
+
+import { routeToUrl } from "./pipeline.js";
+
+/**
+ * Escapes special characters for use in XML text and attributes
+ * @param {string} value Value to escape
+ * @returns {string} Escaped string
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Checks if a route matches an exclusion list
+ * @param {string} route Route string (e.g., '/blog/post/')
+ * @param {string[]} exclude Excluded routes, entries ending in '*' match by prefix
+ * @returns {boolean} True if route is excluded
+ */
+export function isRouteExcluded(route, exclude = []) {
+  return exclude.some((pattern) => {
+    if (pattern.endsWith("*")) {
+      return route.startsWith(pattern.slice(0, -1));
+    }
+    return route === pattern;
+  });
+}
+
+/**
+ * Generates sitemap.xml content
+ * @param {Array} entries Route entries [{ route, lastmod }]
+ * @param {Object} options Options
+ * @param {string} options.siteUrl Site origin (e.g., 'https://example.com')
+ * @param {string} options.base Base path (default: '/')
+ * @param {string[]} options.exclude Routes to leave out
+ * @returns {string} Sitemap XML
+ */
+export function generateSitemap(entries, options = {}) {
+  const { siteUrl, base = "/", exclude = [] } = options;
+
+  const urls = entries
+    .filter((entry) => !isRouteExcluded(entry.route, exclude))
+    .sort((a, b) => a.route.localeCompare(b.route))
+    .map((entry) => {
+      const loc = routeToUrl(entry.route, base, siteUrl);
+      let xml = `  <url>\n    <loc>${escapeXml(loc)}</loc>\n`;
+      if (entry.lastmod) {
+        xml += `    <lastmod>${entry.lastmod.toISOString()}</lastmod>\n`;
+      }
+      xml += "  </url>\n";
+      return xml;
+    });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("")}</urlset>
+`;
+}
+
+/**
+ * Generates robots.txt content
+ * @param {Object} options Options
+ * @param {Array} options.rules Rules [{ userAgent, allow, disallow }]
+ * @param {string} options.base Base path (default: '/')
+ * @param {string|null} options.sitemapUrl Absolute sitemap URL to advertise
+ * @returns {string} robots.txt content
+ */
+export function generateRobots(options = {}) {
+  const { base = "/", sitemapUrl = null } = options;
+  const rules =
+    options.rules && options.rules.length > 0
+      ? options.rules
+      : [{ userAgent: "*", disallow: [] }];
+
+  const blocks = rules.map((rule) => {
+    const lines = [`User-agent: ${rule.userAgent || "*"}`];
+
+    for (const route of rule.allow || []) {
+      lines.push(`Allow: ${routeToUrl(route, base)}`);
+    }
+
+    const disallow = rule.disallow || [];
+    if (disallow.length === 0 && !(rule.allow || []).length) {
+      lines.push("Disallow:");
+    }
+    for (const route of disallow) {
+      lines.push(`Disallow: ${routeToUrl(route, base)}`);
+    }
+
+    return lines.join("\n");
+  });
+
+  let robots = blocks.join("\n\n") + "\n";
+  if (sitemapUrl) {
+    robots += `\nSitemap: ${sitemapUrl}\n`;
+  }
+
+  return robots;
+}
@@ -1,6 +1,7 @@
 #import "../util/util.typ": *
 
-#set-base("http://localhost:3000")
+// Prefix site links with the configured base path
+#set-base(sys.inputs.at("base", default: "/"))
 
 #let layout(body) = {
   set page(
@@ -49,3 +49,24 @@
     title: title,
   ))
 }
+
+// Set page options: sidebar, toc, toc-min-level, toc-max-level, description, date, tags, draft, output, layout.
+// This function is also available in the Typst SSG Util package.
+// https://github.com/k0src/Typst-SSG-Util-Package
+
+#let page-config(..args) = {
+  metadata((
+    type: "tssg-page-config",
+    ..args.named(),
+  ))
+}
+
+// Attach custom metadata to the page (e.g. author, cover image).
+// Any key set here is available to the build alongside the page config.
+
+#let page-meta(..args) = {
+  metadata((
+    type: "tssg-page-meta",
+    ..args.named(),
+  ))
+}
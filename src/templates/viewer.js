@@ -1,13 +1,24 @@
 const TSSG_COPY_PREFIX = "tssg:copy:";
 const TSSG_SAMETAB_PREFIX = "tssg:sametab:";
+const DISPLAY_SCALE = 1.5;
+
+let headingTargets = new Map();
+
+// Error pages are served at arbitrary URLs, so their files come from PAGE_DIR
+function pageFileUrl(fileName) {
+  if (window.PAGE_DIR) return window.PAGE_DIR + fileName;
+
+  const pathname = window.location.pathname;
+  return pathname.endsWith("/")
+    ? pathname + fileName
+    : pathname + "/" + fileName;
+}
 
 async function renderPdf() {
   try {
     const base = window.BASE_PATH || "/";
 
-    const pdfUrl = window.location.pathname.endsWith("/")
-      ? window.location.pathname + "index.pdf"
-      : window.location.pathname + "/index.pdf";
+    const pdfUrl = pageFileUrl("index.pdf");
     const response = await fetch(pdfUrl);
 
     if (!response.ok) {
@@ -43,10 +54,13 @@ async function renderPdf() {
       await renderPage(pdfium, docPtr, i, container);
     }
 
+    headingTargets = readHeadingTargets(pdfium, docPtr);
+
     pdfium.FPDF_CloseDocument(docPtr);
     pdfium.pdfium.wasmExports.free(filePtr);
 
     document.getElementById("loading").style.display = "none";
+    scrollToHash();
   } catch (error) {
     document.getElementById("loading").textContent =
       "Error loading PDF: " + error.message;
@@ -61,7 +75,7 @@ async function renderPage(pdfium, docPtr, pageIndex, container) {
   const width = pdfium.FPDF_GetPageWidthF(pagePtr);
   const height = pdfium.FPDF_GetPageHeightF(pagePtr);
 
-  const displayScale = 1.5;
+  const displayScale = DISPLAY_SCALE;
   const qualityMultiplier = window.PDF_QUALITY || 2.0;
   const dpr = window.devicePixelRatio || 1;
 
@@ -558,18 +572,329 @@ async function renderSidebarPdf(pdfUrl, containerId) {
   }
 }
 
-renderPdf();
+// Must match slugify() in src/search.js
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .trim()
+    .replace(/\s+/g, "-")
+    .replace(/[^\w-]/g, "");
+}
+
+function readHeadingTargets(pdfium, docPtr) {
+  const targets = new Map();
+  const titleBufferSize = 1024;
+  const titleBufferPtr = pdfium.pdfium._malloc(titleBufferSize);
+
+  function walk(parent) {
+    let bookmark = pdfium.FPDFBookmark_GetFirstChild(docPtr, parent);
+
+    while (bookmark) {
+      const titleLength = pdfium.FPDFBookmark_GetTitle(
+        bookmark,
+        titleBufferPtr,
+        titleBufferSize
+      );
+      const title =
+        titleLength > 2 ? pdfium.pdfium.UTF16ToString(titleBufferPtr) : "";
+      const dest = pdfium.FPDFBookmark_GetDest(docPtr, bookmark);
+      const id = slugify(title);
+
+      if (dest && id && !targets.has(id)) {
+        const pageIndex = pdfium.FPDFDest_GetDestPageIndex(docPtr, dest);
+
+        const hasXPtr = pdfium.pdfium._malloc(4);
+        const hasYPtr = pdfium.pdfium._malloc(4);
+        const hasZoomPtr = pdfium.pdfium._malloc(4);
+        const xPtr = pdfium.pdfium._malloc(4);
+        const yPtr = pdfium.pdfium._malloc(4);
+        const zoomPtr = pdfium.pdfium._malloc(4);
+
+        let y = null;
+        if (
+          pdfium.FPDFDest_GetLocationInPage(
+            dest,
+            hasXPtr,
+            hasYPtr,
+            hasZoomPtr,
+            xPtr,
+            yPtr,
+            zoomPtr
+          ) &&
+          pdfium.pdfium.HEAP32[hasYPtr >> 2]
+        ) {
+          y = pdfium.pdfium.HEAPF32[yPtr >> 2];
+        }
+
+        pdfium.pdfium._free(hasXPtr);
+        pdfium.pdfium._free(hasYPtr);
+        pdfium.pdfium._free(hasZoomPtr);
+        pdfium.pdfium._free(xPtr);
+        pdfium.pdfium._free(yPtr);
+        pdfium.pdfium._free(zoomPtr);
+
+        targets.set(id, { pageIndex, y });
+      }
+
+      walk(bookmark);
+      bookmark = pdfium.FPDFBookmark_GetNextSibling(docPtr, bookmark);
+    }
+  }
+
+  walk(0);
+  pdfium.pdfium._free(titleBufferPtr);
+
+  return targets;
+}
+
+function scrollToHash() {
+  const id = decodeURIComponent(window.location.hash.slice(1));
+  const target = id ? headingTargets.get(id) : null;
+  if (!target) return;
+
+  const targetPage = document.querySelectorAll("#pdf-container .pdf-page")[
+    target.pageIndex
+  ];
+  if (!targetPage) return;
+
+  if (target.y !== null) {
+    const pageHeight = parseFloat(targetPage.style.height);
+    const screenY = pageHeight / DISPLAY_SCALE - target.y;
+    const scrollTop = targetPage.offsetTop + screenY * DISPLAY_SCALE;
+    window.scrollTo({ top: scrollTop, behavior: "smooth" });
+  } else {
+    targetPage.scrollIntoView({ behavior: "smooth", block: "start" });
+  }
+}
+
+function scoreSearchEntry(entry, terms) {
+  const title = entry.title.toLowerCase();
+  const heading = (entry.heading || "").toLowerCase();
+  const text = entry.text.toLowerCase();
+  let score = 0;
+
+  for (const term of terms) {
+    let termScore = 0;
+    if (title.includes(term)) termScore += 10;
+    if (heading.includes(term)) termScore += 5;
+    if (text.includes(term)) termScore += 1;
+    if (termScore === 0) return 0;
+    score += termScore;
+  }
+
+  return score;
+}
+
+function searchSnippet(text, terms) {
+  const lower = text.toLowerCase();
+  const index = Math.max(
+    0,
+    Math.min(
+      ...terms.map((term) => lower.indexOf(term)).filter((i) => i !== -1)
+    )
+  );
+  const start = Math.max(0, index - 40);
+  const end = Math.min(text.length, index + 100);
+
+  return (
+    (start > 0 ? "…" : "") +
+    text.slice(start, end) +
+    (end < text.length ? "…" : "")
+  );
+}
+
+function setupSearch() {
+  const base = window.BASE_PATH || "/";
+  const input = document.getElementById("search-input");
+  const results = document.getElementById("search-results");
+  if (!input || !results) return;
+
+  let indexPromise = null;
+  const loadIndex = () => {
+    if (!indexPromise) {
+      indexPromise = fetch(`${base}search-index.json`)
+        .then((response) => (response.ok ? response.json() : []))
+        .catch(() => []);
+    }
+    return indexPromise;
+  };
+
+  input.addEventListener("focus", loadIndex);
+
+  input.addEventListener("input", async () => {
+    const query = input.value.trim().toLowerCase();
+    const index = await loadIndex();
+
+    if (input.value.trim().toLowerCase() !== query) return;
+    results.innerHTML = "";
+    if (query.length < 2) return;
+
+    const terms = query.split(/\s+/);
+    const matches = index
+      .map((entry) => ({ entry, score: scoreSearchEntry(entry, terms) }))
+      .filter((match) => match.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, 10);
+
+    for (const { entry } of matches) {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.href =
+        base +
+        entry.route.replace(/^\//, "") +
+        (entry.id ? "#" + entry.id : "");
+
+      const title = document.createElement("div");
+      title.className = "search-result-title";
+      title.textContent = entry.title;
+      link.appendChild(title);
+
+      if (entry.heading) {
+        const heading = document.createElement("div");
+        heading.className = "search-result-heading";
+        heading.textContent = entry.heading;
+        link.appendChild(heading);
+      }
+
+      if (entry.text) {
+        const snippet = document.createElement("div");
+        snippet.className = "search-result-snippet";
+        snippet.textContent = searchSnippet(entry.text, terms);
+        link.appendChild(snippet);
+      }
+
+      link.addEventListener("click", () => {
+        results.innerHTML = "";
+        input.value = "";
+      });
+
+      item.appendChild(link);
+      results.appendChild(item);
+    }
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "Escape") {
+      input.value = "";
+      results.innerHTML = "";
+      input.blur();
+    } else if (e.key === "Enter") {
+      const first = results.querySelector("a");
+      if (first) first.click();
+    }
+  });
+}
+
+function setupCopyLinks() {
+  for (const link of document.querySelectorAll("a[data-tssg-copy]")) {
+    link.addEventListener("click", async (e) => {
+      e.preventDefault();
+      await navigator.clipboard.writeText(link.dataset.tssgCopy);
+    });
+  }
+}
+
+function hideBuildErrors() {
+  const overlay = document.getElementById("build-error-overlay");
+  if (overlay) overlay.remove();
+}
+
+// Shows a failed dev rebuild: the Typst diagnostics of this page, or the
+// error messages if the failure did not come from Typst
+function showBuildErrors(event) {
+  const diagnostics = event.diagnostics.filter(
+    (diagnostic) => diagnostic.route === window.PAGE_ROUTE
+  );
+
+  // Another page failed; this one is up to date
+  if (event.diagnostics.length > 0 && diagnostics.length === 0) {
+    hideBuildErrors();
+    return;
+  }
+
+  const messages =
+    diagnostics.length > 0
+      ? diagnostics.map((diagnostic) => diagnostic.frame)
+      : event.errors;
+
+  hideBuildErrors();
+
+  const overlay = document.createElement("div");
+  overlay.id = "build-error-overlay";
+  overlay.className = "build-error-overlay";
+  overlay.setAttribute("role", "alert");
+
+  const header = document.createElement("div");
+  header.className = "build-error-header";
+
+  const title = document.createElement("span");
+  title.textContent = "Build failed";
+  header.appendChild(title);
+
+  const close = document.createElement("button");
+  close.type = "button";
+  close.className = "build-error-close";
+  close.setAttribute("aria-label", "Dismiss");
+  close.textContent = "×";
+  close.addEventListener("click", hideBuildErrors);
+  header.appendChild(close);
+
+  overlay.appendChild(header);
+
+  for (const message of messages) {
+    const pre = document.createElement("pre");
+    pre.className = "build-error-message";
+    pre.textContent = message;
+    overlay.appendChild(pre);
+  }
+
+  document.body.appendChild(overlay);
+}
+
+// Dev server: reload on rebuild, show failed rebuilds in an overlay
+function setupLiveReload() {
+  const evtSource = new EventSource("/__reload");
+
+  evtSource.onmessage = () => {
+    console.log("File changed, reloading...");
+    evtSource.close();
+    hideBuildErrors();
+    window.location.reload();
+  };
+
+  evtSource.addEventListener("build-error", (e) => {
+    showBuildErrors(JSON.parse(e.data));
+  });
+
+  evtSource.onerror = () => {
+    evtSource.close();
+  };
+}
+
+window.addEventListener("hashchange", scrollToHash);
+
+// Pages from Typst's HTML export have no PDF to render
+if (window.PAGE_OUTPUT === "html") {
+  setupCopyLinks();
+} else {
+  renderPdf();
+}
+
+if (window.HAS_SEARCH) {
+  setupSearch();
+}
 
 if (window.HAS_SIDEBAR) {
-  const sidebarUrl = window.location.pathname.endsWith("/")
-    ? window.location.pathname + "sidebar.pdf"
-    : window.location.pathname + "/sidebar.pdf";
-  renderSidebarPdf(sidebarUrl, "sidebar-container");
+  renderSidebarPdf(pageFileUrl("sidebar.pdf"), "sidebar-container");
 }
 
 if (window.HAS_TOC) {
-  const tocUrl = window.location.pathname.endsWith("/")
-    ? window.location.pathname + "toc.pdf"
-    : window.location.pathname + "/toc.pdf";
-  renderSidebarPdf(tocUrl, "toc-container");
+  renderSidebarPdf(pageFileUrl("toc.pdf"), "toc-container");
+}
+
+if (
+  window.location.hostname === "localhost" ||
+  window.location.hostname === "127.0.0.1"
+) {
+  setupLiveReload();
 }
@@ -2,6 +2,7 @@ import { spawnSync, spawn } from "child_process";
 import fs from "fs";
 import path from "path";
 import os from "os";
+import { parseDiagnostics } from "./diagnostics.js";
 
 /**
  * Cleans up the input file
@@ -45,6 +46,37 @@ export function checkTypstInstalled() {
   }
 }
 
+/**
+ * Lists the font families available to Typst (`typst fonts`)
+ * @param {Object} options Font options
+ * @param {string[]} options.fontPaths Additional font directories
+ * @param {boolean} options.ignoreSystemFonts Whether to leave out system fonts
+ * @returns {string[] | null} Font family names, or null if they could not be listed
+ */
+export function listTypstFonts({
+  fontPaths = [],
+  ignoreSystemFonts = false,
+} = {}) {
+  try {
+    const result = spawnSync(
+      "typst",
+      ["fonts", ...fontArgs(fontPaths, ignoreSystemFonts)],
+      { encoding: "utf-8", timeout: 10000 }
+    );
+
+    if (result.error || result.status !== 0) {
+      return null;
+    }
+
+    return result.stdout
+      .split("\n")
+      .map((line) => line.trim())
+      .filter(Boolean);
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Creates a temporary directory
  * @param {string} prefix Prefix for the temp directory name
@@ -73,51 +105,17 @@ export function cleanupTempDir(tempDir) {
 }
 
 /**
- * Compiles Typst source to PDF
- * @param {Object} options Compilation options
- * @param {string} options.source Typst source code
- * @param {string} options.outputPath Path to output PDF file
- * @param {string} options.workDir Working directory for compilation
- * @param {string | null} options.rootDir Root directory for Typst (optional)
- * @param {number} options.timeout Timeout in milliseconds (default: 30000)
- * @returns {Promise<Object>} { success: boolean, outputPath: string, error?: string }
+ * Spawns the Typst CLI and collects its output
+ * @param {string[]} args Typst CLI arguments
+ * @param {Object} options Spawn options
+ * @param {string} options.cwd Working directory
+ * @param {number} options.timeout Timeout in milliseconds
+ * @returns {Promise<Object>} { code: number, stdout: string, stderr: string, timedOut: boolean }
  */
-export async function compileTypst({
-  source,
-  outputPath,
-  workDir,
-  rootDir = null,
-  timeout = 30000,
-}) {
+function runTypst(args, { cwd, timeout }) {
   return new Promise((resolve, reject) => {
-    const inputPath = path.join(workDir, "input.typ");
-
-    try {
-      fs.writeFileSync(inputPath, source, "utf-8");
-    } catch (error) {
-      return reject(new Error(`Failed to write input file: ${error.message}`));
-    }
-
-    const outputDir = path.dirname(outputPath);
-    if (!fs.existsSync(outputDir)) {
-      try {
-        fs.mkdirSync(outputDir, { recursive: true });
-      } catch (error) {
-        return reject(
-          new Error(`Failed to create output directory: ${error.message}`)
-        );
-      }
-    }
-
-    const args = ["compile"];
-
-    if (rootDir) {
-      args.push("--root", rootDir);
-    }
-    args.push("input.typ", outputPath);
-
     const child = spawn("typst", args, {
-      cwd: workDir,
+      cwd,
       stdio: ["ignore", "pipe", "pipe"],
     });
 
@@ -140,37 +138,239 @@ export async function compileTypst({
 
     child.on("close", (code) => {
       clearTimeout(timeoutId);
-
-      cleanupInputFile(inputPath);
-
-      if (timedOut) {
-        return resolve({
-          success: false,
-          outputPath,
-          error: `Compilation timed out after ${timeout}ms`,
-        });
-      }
-
-      if (code !== 0) {
-        const errorMessage =
-          stderr || stdout || `Typst exited with code ${code}`;
-        return resolve({
-          success: false,
-          outputPath,
-          error: errorMessage.trim(),
-        });
-      }
-
-      resolve({
-        success: true,
-        outputPath,
-      });
+      resolve({ code, stdout, stderr, timedOut });
     });
 
     child.on("error", (error) => {
       clearTimeout(timeoutId);
-      cleanupInputFile(inputPath);
       reject(new Error(`Failed to spawn Typst process: ${error.message}`));
     });
   });
 }
+
+/**
+ * Writes Typst source to the input file in the working directory
+ * @param {string} workDir Working directory
+ * @param {string} source Typst source code
+ * @param {string} inputName Input file name
+ * @returns {string} Path to the written input file
+ */
+function writeInputFile(workDir, source, inputName) {
+  const inputPath = path.join(workDir, inputName);
+
+  try {
+    fs.writeFileSync(inputPath, source, "utf-8");
+  } catch (error) {
+    throw new Error(`Failed to write input file: ${error.message}`);
+  }
+
+  return inputPath;
+}
+
+/**
+ * Builds `--input key=value` arguments, available in Typst as `sys.inputs`
+ * @param {Object} inputs Input values by key
+ * @returns {string[]} Typst CLI arguments
+ */
+function inputArgs(inputs) {
+  return Object.entries(inputs).flatMap(([key, value]) => [
+    "--input",
+    `${key}=${value}`,
+  ]);
+}
+
+/**
+ * Builds font arguments
+ * @param {string[]} fontPaths Additional font directories
+ * @param {boolean} ignoreSystemFonts Whether to leave out system fonts
+ * @returns {string[]} Typst CLI arguments
+ */
+function fontArgs(fontPaths, ignoreSystemFonts) {
+  const args = fontPaths.flatMap((fontPath) => ["--font-path", fontPath]);
+  if (ignoreSystemFonts) {
+    args.push("--ignore-system-fonts");
+  }
+  return args;
+}
+
+/**
+ * Compiles Typst source to PDF, HTML, or to one PNG/SVG file per page
+ * @param {Object} options Compilation options
+ * @param {string} options.source Typst source code
+ * @param {string} options.outputPath Path to output file; for PNG/SVG, `{p}` is replaced by the page number
+ * @param {string} options.workDir Working directory for compilation
+ * @param {string | null} options.rootDir Root directory for Typst (optional)
+ * @param {string} options.inputName Input file name in workDir (default: 'input.typ')
+ * @param {Object} options.inputs Values passed with `--input key=value` (sys.inputs)
+ * @param {string[]} options.fontPaths Additional font directories (`--font-path`)
+ * @param {boolean} options.ignoreSystemFonts Whether to leave out system fonts
+ * @param {string | null} options.format Output format: 'pdf' | 'png' | 'svg' | 'html' (default: from outputPath)
+ * @param {string[]} options.features Experimental Typst features to enable (e.g., ['html'])
+ * @param {number | null} options.ppi Pixels per inch for PNG output (optional)
+ * @param {number} options.timeout Timeout in milliseconds (default: 30000)
+ * @returns {Promise<Object>} { success: boolean, outputPath: string, warnings: string[], diagnostics: Array, error?: string }
+ */
+export async function compileTypst({
+  source,
+  outputPath,
+  workDir,
+  rootDir = null,
+  inputName = "input.typ",
+  inputs = {},
+  fontPaths = [],
+  ignoreSystemFonts = false,
+  format = null,
+  features = [],
+  ppi = null,
+  timeout = 30000,
+}) {
+  const inputPath = writeInputFile(workDir, source, inputName);
+
+  const outputDir = path.dirname(outputPath);
+  if (!fs.existsSync(outputDir)) {
+    try {
+      fs.mkdirSync(outputDir, { recursive: true });
+    } catch (error) {
+      cleanupInputFile(inputPath);
+      throw new Error(`Failed to create output directory: ${error.message}`);
+    }
+  }
+
+  const args = ["compile"];
+
+  if (rootDir) {
+    args.push("--root", rootDir);
+  }
+  args.push(...inputArgs(inputs));
+  args.push(...fontArgs(fontPaths, ignoreSystemFonts));
+  if (features.length > 0) {
+    args.push("--features", features.join(","));
+  }
+  if (format) {
+    args.push("--format", format);
+  }
+  if (ppi) {
+    args.push("--ppi", String(ppi));
+  }
+  args.push(inputName, outputPath);
+
+  let result;
+  try {
+    result = await runTypst(args, { cwd: workDir, timeout });
+  } finally {
+    cleanupInputFile(inputPath);
+  }
+
+  const { code, stdout, stderr, timedOut } = result;
+
+  if (timedOut) {
+    return {
+      success: false,
+      outputPath,
+      warnings: [],
+      diagnostics: [],
+      error: `Compilation timed out after ${timeout}ms`,
+    };
+  }
+
+  const diagnostics = parseDiagnostics(stderr);
+  const warnings = diagnostics
+    .filter((diagnostic) => diagnostic.severity === "warning")
+    .map((diagnostic) => diagnostic.text);
+
+  if (code !== 0) {
+    const errorMessage = stderr || stdout || `Typst exited with code ${code}`;
+    return {
+      success: false,
+      outputPath,
+      warnings,
+      diagnostics,
+      error: errorMessage.trim(),
+    };
+  }
+
+  return {
+    success: true,
+    outputPath,
+    warnings,
+    diagnostics,
+  };
+}
+
+/**
+ * Queries elements from Typst source (typst query)
+ * @param {Object} options Query options
+ * @param {string} options.source Typst source code
+ * @param {string} options.selector Element selector (e.g., 'metadata', '<label>')
+ * @param {string | null} options.field Field to extract from each element (optional)
+ * @param {string} options.workDir Working directory for compilation
+ * @param {string | null} options.rootDir Root directory for Typst (optional)
+ * @param {string} options.inputName Input file name in workDir (default: 'input.typ')
+ * @param {Object} options.inputs Values passed with `--input key=value` (sys.inputs)
+ * @param {string[]} options.fontPaths Additional font directories (`--font-path`)
+ * @param {boolean} options.ignoreSystemFonts Whether to leave out system fonts
+ * @param {number} options.timeout Timeout in milliseconds (default: 30000)
+ * @returns {Promise<Object>} { success: boolean, results: Array, error?: string }
+ */
+export async function queryTypst({
+  source,
+  selector,
+  field = null,
+  workDir,
+  rootDir = null,
+  inputName = "input.typ",
+  inputs = {},
+  fontPaths = [],
+  ignoreSystemFonts = false,
+  timeout = 30000,
+}) {
+  const inputPath = writeInputFile(workDir, source, inputName);
+
+  const args = ["query"];
+
+  if (rootDir) {
+    args.push("--root", rootDir);
+  }
+  args.push(...inputArgs(inputs));
+  args.push(...fontArgs(fontPaths, ignoreSystemFonts));
+  args.push(inputName, selector);
+  if (field) {
+    args.push("--field", field);
+  }
+
+  let result;
+  try {
+    result = await runTypst(args, { cwd: workDir, timeout });
+  } finally {
+    cleanupInputFile(inputPath);
+  }
+
+  const { code, stdout, stderr, timedOut } = result;
+
+  if (timedOut) {
+    return {
+      success: false,
+      results: [],
+      error: `Query timed out after ${timeout}ms`,
+    };
+  }
+
+  if (code !== 0) {
+    const errorMessage = stderr || `Typst exited with code ${code}`;
+    return {
+      success: false,
+      results: [],
+      error: errorMessage.trim(),
+    };
+  }
+
+  try {
+    return { success: true, results: JSON.parse(stdout) };
+  } catch (error) {
+    return {
+      success: false,
+      results: [],
+      error: `Could not parse query output: ${error.message}`,
+    };
+  }
+}